@@ -1,9 +1,34 @@
 // AgentFlow - Complete Frontend JavaScript with All Fixes
+
+// execute_javascript as the model sees it in browser mode (code-worker.js): the server description
+// promises persistent variables, which a fresh worker per call cannot offer
+const BROWSER_CODE_DESCRIPTION = 'Execute JavaScript code in a sandboxed browser worker. Each call starts fresh: ' +
+    'nothing defined in one call is available in the next, so include everything the code needs. ' +
+    'Returned promises are awaited and setTimeout/setInterval work within the 8 second limit; code that uses ' +
+    'top-level await runs as an async function body, so return the result. Network access is disabled. ' +
+    'To show results to the user, call display.table(arrayOfObjects, { title }), ' +
+    'display.chart({ type: "bar" | "line", title, labels, values }) or display.file(name, textOrArrayOfObjects); ' +
+    'arrays of objects are saved as CSV.';
+
 class LLMAgent {
     constructor() {
         this.conversation = [];
         this.isProcessing = false;
-        this.tools = this.initializeTools();
+        this.abortController = null; // Set while an agent run is in flight; aborted by Stop
+        this.registryTools = this.initializeTools(); // Replaced by the backend registry in loadTools()
+        this.toolMeta = new Map(); // name -> { permission, timeout, renderer, group } from GET /api/tools
+        this.customTools = this.loadCustomTools(); // User-defined HTTP tools, saved in localStorage
+        this.customToolConfig = null; // { allowedHosts, maxResponseBytes } from GET /api/tools
+        this.tools = this.buildToolList();
+        this.personas = this.initializePersonas();
+        this.toolPolicies = { execute_javascript: 'ask' }; // auto | ask | deny; unlisted tools auto-run
+        this.providers = [];
+        this.failoverChain = [];
+        this.searchBackends = []; // [{ id, name, credentials, serverConfigured }] from GET /api/search/backends
+        this.searchPreferences = this.loadSearchPreferences(); // { primary, fallbacks }, saved in localStorage
+        this.conversationSummary = '';
+        this.summarizedMessageCount = 0;
+        this.conversationId = this.createConversationId(); // Keys the backend JavaScript session
         this.debugMode = false;
         
         // Memory management settings
@@ -55,20 +80,74 @@ class LLMAgent {
         this.sendBtnEl = document.getElementById('send-btn');
         this.sendTextEl = document.getElementById('send-text');
         this.sendSpinnerEl = document.getElementById('send-spinner');
+        this.stopBtnEl = document.getElementById('stop-btn');
         this.alertContainer = document.getElementById('alert-container');
         this.providerSelect = document.getElementById('llm-provider');
         this.modelSelect = document.getElementById('model-name');
+        this.customProviderConfig = document.getElementById('custom-provider-config');
+        this.customBaseUrlInput = document.getElementById('custom-base-url');
+        this.customModelInput = document.getElementById('custom-model-name');
+        this.customAuthHeaderInput = document.getElementById('custom-auth-header');
+        this.customReasoningInput = document.getElementById('custom-reasoning');
+        this.contextBudgetInput = document.getElementById('context-budget');
+        this.personaSelect = document.getElementById('persona-select');
+        this.savePersonaBtn = document.getElementById('save-persona-btn');
+        this.deletePersonaBtn = document.getElementById('delete-persona-btn');
+        this.systemPromptInput = document.getElementById('system-prompt');
+        this.temperatureInput = document.getElementById('temperature');
+        this.allowedToolsEl = document.getElementById('allowed-tools');
+        this.toolPoliciesEl = document.getElementById('tool-policies');
+        this.maxTokensInput = document.getElementById('max-tokens');
+        this.maxTokensHintEl = document.getElementById('max-tokens-hint');
+        this.topPInput = document.getElementById('top-p');
+        this.stopSequencesInput = document.getElementById('stop-sequences');
+        this.reasoningEffortSelect = document.getElementById('reasoning-effort');
+        this.summaryThresholdInput = document.getElementById('summary-threshold');
+        this.maxStepsInput = document.getElementById('max-steps');
+        this.maxToolCallsInput = document.getElementById('max-tool-calls');
+        this.maxRepairsInput = document.getElementById('max-repairs');
+        this.codeExecutionModeSelect = document.getElementById('code-execution-mode');
+        this.summaryModeToggle = document.getElementById('summary-mode');
+        this.summaryPanel = document.getElementById('summary-panel');
+        this.summaryTextEl = document.getElementById('summary-text');
+        this.summaryMetaEl = document.getElementById('summary-meta');
+        this.clearSummaryBtn = document.getElementById('clear-summary');
+        this.sessionPanel = document.getElementById('session-panel');
+        this.sessionVariablesEl = document.getElementById('session-variables');
+        this.sessionMetaEl = document.getElementById('session-meta');
+        this.refreshSessionBtn = document.getElementById('refresh-session');
+        this.resetSessionBtn = document.getElementById('reset-session');
+        this.failoverChainEl = document.getElementById('failover-chain');
+        this.addFailoverBtn = document.getElementById('add-failover-btn');
+        this.customToolsListEl = document.getElementById('custom-tools-list');
+        this.customToolNameInput = document.getElementById('custom-tool-name');
+        this.customToolMethodSelect = document.getElementById('custom-tool-method');
+        this.customToolUrlInput = document.getElementById('custom-tool-url');
+        this.customToolDescriptionInput = document.getElementById('custom-tool-description');
+        this.customToolParametersInput = document.getElementById('custom-tool-parameters');
+        this.customToolHeadersInput = document.getElementById('custom-tool-headers');
+        this.saveCustomToolBtn = document.getElementById('save-custom-tool-btn');
+        this.clearCustomToolBtn = document.getElementById('clear-custom-tool-btn');
+        this.customToolsHintEl = document.getElementById('custom-tools-hint');
         this.apiKeyInput = document.getElementById('api-key');
         this.googleSearchKeyInput = document.getElementById('google-search-key');
         this.searchEngineIdInput = document.getElementById('search-engine-id');
+        this.braveApiKeyInput = document.getElementById('brave-api-key');
+        this.searchPrimarySelect = document.getElementById('search-primary');
+        this.searchFallbacksEl = document.getElementById('search-fallbacks');
+        this.searchFallbackSelect = document.getElementById('search-fallback-select');
+        this.addSearchFallbackBtn = document.getElementById('add-search-fallback-btn');
         this.clearChatBtn = document.getElementById('clear-chat');
         this.messageCountEl = document.getElementById('message-count');
         this.debugModeToggle = document.getElementById('debug-mode');
+        this.streamModeToggle = document.getElementById('stream-mode');
+        this.demoModeToggle = document.getElementById('demo-mode');
         this.configToggleBtn = document.getElementById('config-toggle-btn');
         this.configBody = document.getElementById('config-body');
 
         // Event listeners
         this.sendBtnEl.addEventListener('click', () => this.handleUserInput());
+        this.stopBtnEl?.addEventListener('click', () => this.stopAgent());
         this.userInputEl.addEventListener('keypress', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
@@ -88,11 +167,37 @@ class LLMAgent {
         this.searchEngineIdInput.addEventListener('input', () => this.validateGoogleSearchKey());
         
         this.modelSelect.addEventListener('change', (e) => {
+            this.updateGenerationLimits();
             this.showConfigurationAlert(`Model changed to ${e.target.options[e.target.selectedIndex].text}`, 'info');
         });
+        this.customReasoningInput?.addEventListener('change', () => this.updateGenerationLimits());
 
         this.clearChatBtn.addEventListener('click', () => this.clearChat());
         
+        if (this.summaryTextEl) {
+            // The summary is user-editable; edits are sent with the next request
+            this.summaryTextEl.addEventListener('input', (e) => {
+                this.conversationSummary = e.target.value.trim();
+            });
+            this.clearSummaryBtn.addEventListener('click', () => {
+                this.conversationSummary = '';
+                this.summarizedMessageCount = 0;
+                this.renderSummary();
+            });
+        }
+        
+        if (this.codeExecutionModeSelect) {
+            this.codeExecutionModeSelect.value = localStorage.getItem('agentflow-code-execution') === 'browser' ? 'browser' : 'server';
+            this.codeExecutionModeSelect.addEventListener('change', (e) => {
+                localStorage.setItem('agentflow-code-execution', e.target.value);
+            });
+        }
+        
+        if (this.sessionPanel) {
+            this.refreshSessionBtn.addEventListener('click', () => this.refreshSessionVariables());
+            this.resetSessionBtn.addEventListener('click', () => this.resetJavaScriptSession());
+        }
+        
         if (this.debugModeToggle) {
             this.debugModeToggle.addEventListener('change', (e) => {
                 this.debugMode = e.target.checked;
@@ -103,14 +208,59 @@ class LLMAgent {
             });
         }
 
+        if (this.demoModeToggle) {
+            this.demoModeToggle.addEventListener('change', (e) => {
+                this.validateApiKeyInput();
+                this.showConfigurationAlert(
+                    e.target.checked ? 'Demo mode enabled - responses are simulated' : 'Demo mode disabled',
+                    e.target.checked ? 'warning' : 'secondary'
+                );
+            });
+        }
+        
+        if (this.addFailoverBtn) {
+            this.addFailoverBtn.addEventListener('click', () => this.addFailoverTarget());
+        }
+        
+        if (this.searchPrimarySelect) {
+            this.searchPrimarySelect.addEventListener('change', (e) => {
+                this.searchPreferences.primary = e.target.value;
+                this.saveSearchPreferences();
+                this.renderSearchBackends();
+            });
+            this.addSearchFallbackBtn.addEventListener('click', () => this.addSearchFallback());
+        }
+        
         if (this.configToggleBtn) {
             this.configToggleBtn.addEventListener('click', () => this.toggleConfigurationPanel());
         }
 
+        if (this.customToolsListEl) {
+            this.renderCustomTools();
+            this.saveCustomToolBtn.addEventListener('click', () => this.saveCustomTool());
+            this.clearCustomToolBtn.addEventListener('click', () => this.clearCustomToolForm());
+        }
+        
+        if (this.toolPoliciesEl) {
+            this.renderToolPolicies();
+        }
+        
+        if (this.personaSelect) {
+            this.renderAllowedTools();
+            this.renderPersonaOptions();
+            this.applyPersona(this.personaSelect.value, { silent: true });
+            
+            this.personaSelect.addEventListener('change', (e) => this.applyPersona(e.target.value));
+            this.savePersonaBtn.addEventListener('click', () => this.savePersona());
+            this.deletePersonaBtn.addEventListener('click', () => this.deletePersona());
+        }
+        
         // Initialize
         this.addMessage('agent', 'Welcome to AgentFlow! 🧠 I\'m your memory-optimized AI assistant that can:\n\n• Search Google for real-time information\n• Execute AI workflows for data processing\n• Run JavaScript code safely in your browser\n• Loop through complex tasks until completion\n\nTry: "Search for IBM AI news" or "Interview me to create a blog post"');
         this.updateMessageCount();
-        this.updateModelForProvider('openai');
+        this.loadProviders();
+        this.loadTools();
+        this.loadSearchBackends();
         
         setTimeout(() => {
             this.validateApiKeyInput();
@@ -174,6 +324,294 @@ class LLMAgent {
         ];
     }
 
+    // Tools are declared once in tools/*.js on the backend; the list above is only used
+    // if the registry cannot be reached. Registry tools run through POST /api/tools/:name.
+    async loadTools() {
+        let registry;
+        try {
+            const response = await fetch('/api/tools', { signal: AbortSignal.timeout(10000) });
+            if (!response.ok) {
+                throw new Error(`Tools API error: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            registry = data.tools || [];
+            this.customToolConfig = data.customTools || null;
+        } catch (error) {
+            this.log('warn', 'Tool registry unavailable, using built-in tools', { error: error.message });
+            return;
+        }
+        
+        this.renderCustomToolsHint();
+        if (registry.length === 0) return;
+        
+        this.registryTools = registry.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        }));
+        this.toolMeta = new Map(registry.map(tool => [tool.name, {
+            permission: tool.permission,
+            timeout: tool.timeout,
+            renderer: tool.renderer,
+            group: tool.group
+        }]));
+        registry.forEach(tool => {
+            this.toolPolicies[tool.name] = tool.permission;
+        });
+        
+        this.refreshTools();
+    }
+    
+    // Registry tools first; a custom tool can't reuse a registry name (checked on save)
+    buildToolList() {
+        const registryNames = new Set(this.registryTools.map(tool => tool.function.name));
+        const custom = this.customTools
+            .filter(tool => !registryNames.has(tool.name))
+            .map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            }));
+        return [...this.registryTools, ...custom];
+    }
+    
+    refreshTools() {
+        this.tools = this.buildToolList();
+        
+        if (this.toolPoliciesEl) {
+            this.renderToolPolicies();
+        }
+        if (this.allowedToolsEl) {
+            this.renderAllowedTools();
+        }
+    }
+    
+    // Custom HTTP tools
+    // The backend proxies each call (POST /api/custom-tools/call) to hosts on its allowlist
+    loadCustomTools() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('agentflow-custom-tools') || '[]');
+            return Array.isArray(saved) ? saved.filter(tool => tool && tool.name && tool.url) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    storeCustomTools() {
+        try {
+            localStorage.setItem('agentflow-custom-tools', JSON.stringify(this.customTools));
+        } catch (error) {
+            this.log('warn', 'Could not save custom tools', { error: error.message });
+        }
+    }
+    
+    getCustomTool(name) {
+        return this.customTools.find(tool => tool.name === name) || null;
+    }
+    
+    renderCustomTools() {
+        this.customToolsListEl.innerHTML = '';
+        if (this.customTools.length === 0) {
+            this.customToolsListEl.innerHTML = '<small class="text-muted">No custom tools</small>';
+            return;
+        }
+        
+        this.customTools.forEach(tool => {
+            const item = document.createElement('span');
+            item.className = 'badge bg-secondary d-inline-flex align-items-center gap-2';
+            
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'btn btn-link btn-sm p-0 text-white text-decoration-none';
+            editBtn.title = 'Edit tool';
+            editBtn.textContent = `${tool.method} ${tool.name}`;
+            editBtn.addEventListener('click', () => this.editCustomTool(tool.name));
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn-close btn-close-white btn-sm';
+            removeBtn.setAttribute('aria-label', `Delete ${tool.name}`);
+            removeBtn.addEventListener('click', () => this.deleteCustomTool(tool.name));
+            
+            item.append(editBtn, removeBtn);
+            this.customToolsListEl.appendChild(item);
+        });
+    }
+    
+    renderCustomToolsHint() {
+        if (!this.customToolsHintEl || !this.customToolConfig) return;
+        
+        const { allowedHosts, maxResponseBytes } = this.customToolConfig;
+        const hosts = allowedHosts.length > 0
+            ? `Allowed hosts: ${allowedHosts.join(', ')}.`
+            : 'No hosts are allowed yet: set HTTP_TOOL_ALLOWED_HOSTS on the server.';
+        this.customToolsHintEl.textContent = `${hosts} Responses are limited to ${Math.round(maxResponseBytes / 1024)} KB. ` +
+            '{name} placeholders in the URL are filled from the arguments; other arguments go into the query string (GET, DELETE) or the JSON body. ' +
+            'Tools are saved in this browser, headers included.';
+    }
+    
+    saveCustomTool() {
+        const name = this.customToolNameInput.value.trim();
+        const method = this.customToolMethodSelect.value;
+        const url = this.customToolUrlInput.value.trim();
+        
+        if (!/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+            this.showConfigurationAlert('Tool name must be 1-64 letters, digits, underscores or dashes', 'danger');
+            return;
+        }
+        if (this.registryTools.some(tool => tool.function.name === name)) {
+            this.showConfigurationAlert(`${name} is a built-in tool name`, 'danger');
+            return;
+        }
+        if (!/^https?:\/\//i.test(url)) {
+            this.showConfigurationAlert('URL must start with http:// or https://', 'danger');
+            return;
+        }
+        
+        let parameters;
+        let headers;
+        try {
+            parameters = JSON.parse(this.customToolParametersInput.value.trim() || '{"type":"object","properties":{}}');
+            headers = JSON.parse(this.customToolHeadersInput.value.trim() || '{}');
+        } catch (error) {
+            this.showConfigurationAlert(`Invalid JSON: ${error.message}`, 'danger');
+            return;
+        }
+        if (!parameters || parameters.type !== 'object') {
+            this.showConfigurationAlert('Parameters must be a JSON schema with "type": "object"', 'danger');
+            return;
+        }
+        if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+            this.showConfigurationAlert('Headers must be a JSON object', 'danger');
+            return;
+        }
+        
+        const tool = {
+            name,
+            description: this.customToolDescriptionInput.value.trim() || `Custom HTTP tool: ${method} ${url}`,
+            method,
+            url,
+            headers,
+            parameters
+        };
+        
+        const existing = this.customTools.findIndex(entry => entry.name === name);
+        if (existing >= 0) {
+            this.customTools[existing] = tool;
+        } else {
+            this.customTools.push(tool);
+        }
+        
+        this.storeCustomTools();
+        this.refreshTools();
+        this.renderCustomTools();
+        this.clearCustomToolForm();
+        this.showConfigurationAlert(`Custom tool saved: ${name}`, 'success');
+    }
+    
+    editCustomTool(name) {
+        const tool = this.getCustomTool(name);
+        if (!tool) return;
+        
+        this.customToolNameInput.value = tool.name;
+        this.customToolMethodSelect.value = tool.method;
+        this.customToolUrlInput.value = tool.url;
+        this.customToolDescriptionInput.value = tool.description;
+        this.customToolParametersInput.value = JSON.stringify(tool.parameters, null, 2);
+        this.customToolHeadersInput.value = Object.keys(tool.headers || {}).length > 0 ? JSON.stringify(tool.headers, null, 2) : '';
+    }
+    
+    deleteCustomTool(name) {
+        if (!confirm(`Delete custom tool "${name}"?`)) return;
+        
+        this.customTools = this.customTools.filter(tool => tool.name !== name);
+        delete this.toolPolicies[name];
+        this.storeCustomTools();
+        this.refreshTools();
+        this.renderCustomTools();
+        this.showConfigurationAlert(`Custom tool deleted: ${name}`, 'secondary');
+    }
+    
+    clearCustomToolForm() {
+        this.customToolNameInput.value = '';
+        this.customToolMethodSelect.value = 'GET';
+        this.customToolUrlInput.value = '';
+        this.customToolDescriptionInput.value = '';
+        this.customToolParametersInput.value = JSON.stringify({ type: 'object', properties: {}, required: [] }, null, 2);
+        this.customToolHeadersInput.value = '';
+    }
+    
+    // Personas bundle a system prompt, default provider/model, temperature and tool subset.
+    // Built-in personas are fixed; personas saved from the config panel live in localStorage.
+    initializePersonas() {
+        const builtIn = [
+            {
+                id: 'assistant',
+                name: 'AgentFlow Assistant',
+                provider: 'openai',
+                model: 'gpt-4o',
+                temperature: 0.7,
+                tools: ['google_search', 'ai_pipe', 'execute_javascript'],
+                systemPrompt: 'You are AgentFlow, a helpful assistant that can use tools.\n' +
+                    '- Use google_search for current events or facts you are unsure about, and cite the sources you used.\n' +
+                    '- Use execute_javascript for calculations, data transformations or to check code; return the value you need.\n' +
+                    '- Use ai_pipe to run text workflows (summarize, classify, extract) over data the user supplied.\n' +
+                    'Answer directly when no tool is needed. Keep answers concise and use Markdown for structure.'
+            },
+            {
+                id: 'researcher',
+                name: 'Researcher',
+                provider: 'openai',
+                model: 'gpt-4.1',
+                temperature: 0.3,
+                tools: ['google_search', 'ai_pipe'],
+                systemPrompt: 'You are a careful research assistant. Search before answering factual questions, ' +
+                    'compare several sources, cite every claim with its URL, and point out conflicting or outdated information. ' +
+                    'Say plainly when the evidence is thin.'
+            },
+            {
+                id: 'code-helper',
+                name: 'Code helper',
+                provider: 'anthropic',
+                model: 'claude-sonnet-4-20250514',
+                temperature: 0.2,
+                tools: ['execute_javascript'],
+                systemPrompt: 'You are a JavaScript programming assistant. Write small, correct, readable code. ' +
+                    'Use execute_javascript to run and verify snippets before presenting them, and explain the result briefly. ' +
+                    'Show final code in fenced code blocks.'
+            },
+            {
+                id: 'blog-interviewer',
+                name: 'Blog interviewer',
+                provider: 'openai',
+                model: 'gpt-4o',
+                temperature: 0.8,
+                tools: ['google_search'],
+                systemPrompt: 'You interview the user to write a blog post. Ask one question at a time, build on their answers, ' +
+                    'and use google_search to bring in relevant facts for follow-up questions. ' +
+                    'When you have enough material, offer an outline and then a full draft in their voice.'
+            }
+        ].map(persona => ({ ...persona, builtIn: true }));
+        
+        return [...builtIn, ...this.loadSavedPersonas()];
+    }
+    
+    loadSavedPersonas() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('agentflow-personas') || '[]');
+            return Array.isArray(saved) ? saved.filter(persona => persona && persona.id && persona.name) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    storeSavedPersonas() {
+        try {
+            localStorage.setItem('agentflow-personas', JSON.stringify(this.personas.filter(persona => !persona.builtIn)));
+        } catch (error) {
+            this.log('warn', 'Could not save personas', { error: error.message });
+        }
+    }
+    
     startCleanupInterval() {
         setInterval(() => {
             this.cleanSearchCache();
@@ -204,11 +642,15 @@ class LLMAgent {
         }
     }
 
+    // Same trimming rules as the backend (context-manager.js), bounded by message count
+    // so tool calls and their results are never separated in memory either
     cleanConversationMemory() {
         if (this.conversation.length > this.maxConversationLength) {
-            const keepFirst = this.conversation.slice(0, 1);
-            const keepRecent = this.conversation.slice(-this.maxConversationLength + 1);
-            this.conversation = [...keepFirst, ...keepRecent];
+            this.conversation = ContextManager.fitToBudget(this.conversation, {
+                budget: Infinity,
+                contextWindow: Infinity,
+                maxMessages: this.maxConversationLength
+            }).messages;
             
             this.log('debug', 'Conversation memory cleaned', { 
                 newLength: this.conversation.length 
@@ -243,36 +685,64 @@ class LLMAgent {
     }
 
     // Configuration management
+    // Provider and model dropdowns are built from the backend adapter registry;
+    // the static options in index.html remain if the registry cannot be reached.
+    async loadProviders() {
+        try {
+            const response = await fetch('/api/providers', { signal: AbortSignal.timeout(10000) });
+            if (!response.ok) {
+                throw new Error(`Providers API error: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            this.providers = data.providers || [];
+        } catch (error) {
+            this.log('warn', 'Provider registry unavailable, using built-in options', { error: error.message });
+            return;
+        }
+        
+        if (this.providers.length === 0) return;
+        
+        const current = this.providerSelect.value;
+        this.providerSelect.innerHTML = '';
+        this.providers.forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.name;
+            this.providerSelect.appendChild(option);
+        });
+        
+        this.providerSelect.value = this.getProviderInfo(current) ? current : this.providers[0].id;
+        this.updateModelForProvider(this.providerSelect.value);
+    }
+    
+    getProviderInfo(providerId) {
+        return this.providers.find(provider => provider.id === providerId) || null;
+    }
+    
     updateModelForProvider(provider) {
-        const modelOptions = {
-            'openai': [
-                { value: 'gpt-4o', label: 'GPT-4o' },
-                { value: 'gpt-4.1', label: 'GPT-4.1' },
-                { value: 'gpt-5', label: 'GPT-5' }
-            ],
-            'anthropic': [
-                { value: 'claude-sonnet-4-20250514', label: 'Claude 4.0 Sonnet' },
-                { value: 'claude-opus-4-1-20250805', label: 'Claude 4.1 Opus' }
-            ],
-            'google': [
-                { value: 'gemini-2.0-flash', label: 'Gemini 2.0 Flash' },
-                { value: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro' }
-            ],
-            'aipipe': [
-                { value: 'gpt-4o-mini', label: 'GPT-4o Mini' },
-                { value: 'gpt-4o', label: 'GPT-4o' }
-            ]
-        };
+        const providerInfo = this.getProviderInfo(provider);
+        if (!providerInfo) {
+            this.validateApiKeyInput();
+            return;
+        }
+        
+        // Custom endpoints take a base URL and a free-text model name instead of the dropdown
+        const isCustom = providerInfo.customEndpoint;
+        if (this.customProviderConfig) {
+            this.customProviderConfig.style.display = isCustom ? 'flex' : 'none';
+        }
+        this.modelSelect.disabled = isCustom;
         
         this.modelSelect.innerHTML = '';
-        const models = modelOptions[provider] || modelOptions['openai'];
-        models.forEach(model => {
+        providerInfo.models.forEach(model => {
             const option = document.createElement('option');
             option.value = model.value;
             option.textContent = model.label;
             this.modelSelect.appendChild(option);
         });
         
+        this.updateGenerationLimits();
         this.validateApiKeyInput();
     }
 
@@ -288,24 +758,457 @@ class LLMAgent {
             this.apiKeyInput.parentNode.appendChild(statusEl);
         }
         
-        if (!apiKey) {
-            statusEl.textContent = 'Demo Mode - No API key';
+        if (this.isDemoMode()) {
+            statusEl.textContent = 'Demo Mode - responses are simulated';
+            statusEl.className = 'form-text text-warning';
+        } else if (!apiKey && !this.requiresApiKey(provider)) {
+            statusEl.textContent = 'No API key - optional for this provider';
+            statusEl.className = 'form-text text-info';
+        } else if (!apiKey) {
+            statusEl.textContent = 'No API key - add one or enable Demo Mode';
             statusEl.className = 'form-text text-warning';
         } else if (apiKey.length < 10) {
             statusEl.textContent = 'API key too short';
             statusEl.className = 'form-text text-danger';
         } else {
-            const providerNames = {
-                'openai': 'OpenAI',
-                'anthropic': 'Anthropic',
-                'google': 'Google',
-                'aipipe': 'AI Pipe'
-            };
-            statusEl.textContent = `${providerNames[provider]} API key configured`;
+            const providerName = this.getProviderInfo(provider)?.name
+                || this.providerSelect.options[this.providerSelect.selectedIndex]?.text
+                || provider;
+            statusEl.textContent = `${providerName} API key configured`;
             statusEl.className = 'form-text text-success';
         }
     }
 
+    getContextBudget() {
+        const budget = parseInt(this.contextBudgetInput?.value, 10);
+        return Number.isFinite(budget) && budget >= 1000 ? budget : ContextManager.DEFAULT_BUDGET;
+    }
+    
+    // Persona settings
+    renderPersonaOptions(selectedId = this.personaSelect.value) {
+        this.personaSelect.innerHTML = '';
+        this.personas.forEach(persona => {
+            const option = document.createElement('option');
+            option.value = persona.id;
+            option.textContent = persona.builtIn ? persona.name : `${persona.name} (saved)`;
+            this.personaSelect.appendChild(option);
+        });
+        
+        if (this.personas.some(persona => persona.id === selectedId)) {
+            this.personaSelect.value = selectedId;
+        }
+        this.deletePersonaBtn.disabled = Boolean(this.getPersona(this.personaSelect.value)?.builtIn);
+    }
+    
+    renderAllowedTools() {
+        // Re-rendering keeps the current selection; tools that were not listed before start enabled
+        const unchecked = new Set([...this.allowedToolsEl.querySelectorAll('input[type="checkbox"]:not(:checked)')]
+            .map(checkbox => checkbox.value));
+            
+        this.allowedToolsEl.innerHTML = '';
+        this.getToolGroups().forEach((tools, group) => {
+            this.allowedToolsEl.appendChild(this.createToolGroupHeading(group));
+            tools.forEach(tool => {
+                const name = tool.function.name;
+                const wrapper = document.createElement('div');
+                wrapper.className = 'form-check form-check-inline';
+                wrapper.innerHTML = `
+                    <input class="form-check-input" type="checkbox" id="tool-${name}" value="${name}" ${unchecked.has(name) ? '' : 'checked'}>
+                    <label class="form-check-label" for="tool-${name}"><code>${name}</code></label>
+                `;
+                this.allowedToolsEl.appendChild(wrapper);
+            });
+        });
+    }
+    
+    // Built-in tools, then one group per MCP server, then custom HTTP tools
+    getToolGroups() {
+        const groups = new Map();
+        this.tools.forEach(tool => {
+            const name = tool.function.name;
+            const group = this.toolMeta.get(name)?.group || (this.getCustomTool(name) ? 'Custom HTTP' : 'Built-in');
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(tool);
+        });
+        return groups;
+    }
+    
+    createToolGroupHeading(group) {
+        const heading = document.createElement('small');
+        heading.className = 'd-block w-100 text-muted fw-semibold';
+        heading.textContent = group;
+        return heading;
+    }
+    
+    renderToolPolicies() {
+        const labels = { auto: 'Auto-run', ask: 'Ask first', deny: 'Deny' };
+        
+        this.toolPoliciesEl.innerHTML = '';
+        this.getToolGroups().forEach((tools, group) => {
+            this.toolPoliciesEl.appendChild(this.createToolGroupHeading(group));
+            tools.forEach(tool => this.toolPoliciesEl.appendChild(this.createToolPolicyControl(tool.function.name, labels)));
+        });
+    }
+    
+    createToolPolicyControl(name, labels) {
+        const control = document.createElement('div');
+        control.className = 'input-group input-group-sm w-auto';
+        control.innerHTML = `
+            <span class="input-group-text"><code>${name}</code></span>
+            <select class="form-select" aria-label="Approval policy for ${name}">
+                ${Object.entries(labels).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+        `;
+        
+        const select = control.querySelector('select');
+        select.value = this.getToolPolicy(name);
+        select.addEventListener('change', (e) => {
+            this.toolPolicies[name] = e.target.value;
+            this.showConfigurationAlert(`${name}: ${labels[e.target.value]}`, 'info');
+        });
+        return control;
+    }
+    
+    getToolPolicy(name) {
+        if (this.toolPolicies[name]) return this.toolPolicies[name];
+        
+        // Custom tools that only read run automatically; anything else asks first
+        const custom = this.getCustomTool(name);
+        return custom && custom.method !== 'GET' ? 'ask' : 'auto';
+    }
+    
+    getPersona(id) {
+        return this.personas.find(persona => persona.id === id) || null;
+    }
+    
+    applyPersona(id, { silent = false } = {}) {
+        const persona = this.getPersona(id);
+        if (!persona) return;
+        
+        this.systemPromptInput.value = persona.systemPrompt || '';
+        this.temperatureInput.value = persona.temperature ?? '';
+        this.allowedToolsEl.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = (persona.tools || []).includes(checkbox.value);
+        });
+        this.deletePersonaBtn.disabled = Boolean(persona.builtIn);
+        
+        // Keys are per provider, so switching provider clears the key like the dropdown does
+        const providerAvailable = [...this.providerSelect.options].some(option => option.value === persona.provider);
+        if (persona.provider && providerAvailable && persona.provider !== this.providerSelect.value) {
+            this.providerSelect.value = persona.provider;
+            this.updateModelForProvider(persona.provider);
+            this.apiKeyInput.value = '';
+        }
+        
+        if (persona.model) {
+            if (this.getProviderInfo(this.providerSelect.value)?.customEndpoint) {
+                this.customModelInput.value = persona.model;
+            } else if ([...this.modelSelect.options].some(option => option.value === persona.model)) {
+                this.modelSelect.value = persona.model;
+            }
+        }
+        this.updateGenerationLimits();
+        
+        this.validateApiKeyInput();
+        if (!silent) {
+            this.showConfigurationAlert(`Persona: ${persona.name}`, 'info');
+        }
+    }
+    
+    savePersona() {
+        const current = this.getPersona(this.personaSelect.value);
+        const name = (prompt('Save persona as:', current && !current.builtIn ? current.name : '') || '').trim();
+        if (!name) return;
+        
+        const existing = this.personas.find(persona => !persona.builtIn && persona.name === name);
+        const persona = {
+            id: existing ? existing.id : `persona-${Date.now()}`,
+            name,
+            provider: this.providerSelect.value,
+            model: this.getSelectedModel(),
+            temperature: this.getTemperature(),
+            tools: this.getAllowedToolNames(),
+            systemPrompt: this.getSystemPrompt()
+        };
+        
+        if (existing) {
+            Object.assign(existing, persona);
+        } else {
+            this.personas.push(persona);
+        }
+        
+        this.storeSavedPersonas();
+        this.renderPersonaOptions(persona.id);
+        this.showConfigurationAlert(`Persona saved: ${name}`, 'success');
+    }
+    
+    deletePersona() {
+        const persona = this.getPersona(this.personaSelect.value);
+        if (!persona || persona.builtIn) return;
+        if (!confirm(`Delete persona "${persona.name}"?`)) return;
+        
+        this.personas = this.personas.filter(entry => entry.id !== persona.id);
+        this.storeSavedPersonas();
+        this.renderPersonaOptions(this.personas[0].id);
+        this.applyPersona(this.personaSelect.value, { silent: true });
+        this.showConfigurationAlert(`Persona deleted: ${persona.name}`, 'secondary');
+    }
+    
+    getSystemPrompt() {
+        return this.systemPromptInput ? this.systemPromptInput.value.trim() : '';
+    }
+    
+    getTemperature() {
+        const temperature = parseFloat(this.temperatureInput?.value);
+        return Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), 2) : undefined;
+    }
+    
+    getAllowedToolNames() {
+        if (!this.allowedToolsEl) return this.tools.map(tool => tool.function.name);
+        return [...this.allowedToolsEl.querySelectorAll('input[type="checkbox"]:checked')].map(checkbox => checkbox.value);
+    }
+    
+    getAllowedTools() {
+        const allowed = this.getAllowedToolNames();
+        const browserMode = this.isBrowserCodeExecution();
+        return this.tools
+            .filter(tool => allowed.includes(tool.function.name))
+            .filter(tool => !(browserMode && tool.function.name === 'reset_javascript_session'))
+            .map(tool => browserMode && tool.function.name === 'execute_javascript'
+                ? { ...tool, function: { ...tool.function, description: BROWSER_CODE_DESCRIPTION } }
+                : tool);
+    }
+    
+    isBrowserCodeExecution() {
+        return this.codeExecutionModeSelect?.value === 'browser';
+    }
+    
+    // Generation settings; the backend validates them and maps them to each provider's names
+    getGenerationSettings() {
+        const generation = {};
+        const temperature = this.getTemperature();
+        const maxTokens = parseInt(this.maxTokensInput?.value, 10);
+        const topP = parseFloat(this.topPInput?.value);
+        const stop = (this.stopSequencesInput?.value || '')
+            .split(',')
+            .map(sequence => sequence.replace(/\\n/g, '\n'))
+            .filter(sequence => sequence.trim() !== '');
+            
+        if (temperature !== undefined) generation.temperature = temperature;
+        if (Number.isFinite(maxTokens)) generation.maxTokens = maxTokens;
+        if (Number.isFinite(topP)) generation.topP = topP;
+        if (stop.length > 0) generation.stop = stop;
+        if (this.reasoningEffortSelect?.value) generation.reasoningEffort = this.reasoningEffortSelect.value;
+        
+        return generation;
+    }
+    
+    // Reflect the selected model's output limit and reasoning support in the generation inputs
+    updateGenerationLimits() {
+        if (!this.maxTokensInput) return;
+        
+        const providerInfo = this.getProviderInfo(this.providerSelect.value);
+        const modelInfo = providerInfo?.models.find(model => model.value === this.modelSelect.value);
+        const limit = providerInfo?.customEndpoint ? null : modelInfo?.maxOutputTokens;
+        
+        this.maxTokensInput.max = limit || '';
+        this.maxTokensHintEl.textContent = limit
+            ? `Blank uses the default; ${modelInfo.label} allows up to ${limit}`
+            : 'Blank uses the default';
+            
+        // Custom endpoints opt in with their "Supports reasoning effort" checkbox
+        const reasoning = providerInfo?.customEndpoint
+            ? Boolean(this.customReasoningInput?.checked)
+            : Boolean(modelInfo?.reasoning);
+        this.reasoningEffortSelect.disabled = !reasoning;
+        if (!reasoning) this.reasoningEffortSelect.value = '';
+    }
+    
+    getLimit(inputEl, fallback) {
+        const limit = parseInt(inputEl?.value, 10);
+        return Number.isFinite(limit) && limit >= 1 ? limit : fallback;
+    }
+    
+    getSummaryThreshold() {
+        const threshold = parseInt(this.summaryThresholdInput?.value, 10);
+        return Number.isFinite(threshold) && threshold >= 1000 ? threshold : 6000;
+    }
+    
+    isDemoMode() {
+        return Boolean(this.demoModeToggle?.checked);
+    }
+    
+    requiresApiKey(providerId) {
+        return this.getProviderInfo(providerId)?.requiresKey !== false;
+    }
+    
+    getSelectedModel() {
+        const providerInfo = this.getProviderInfo(this.providerSelect.value);
+        if (providerInfo?.customEndpoint && this.customModelInput) {
+            return this.customModelInput.value.trim();
+        }
+        return this.modelSelect.value;
+    }
+    
+    // Failover chain: fallbacks keep their own key, so each entry snapshots the current config
+    addFailoverTarget() {
+        const target = this.getActiveTarget();
+        
+        if (!target.model) {
+            this.showConfigurationAlert('Choose a model before adding a fallback', 'warning');
+            return;
+        }
+        
+        if (!target.apiKey && this.requiresApiKey(target.provider)) {
+            this.showConfigurationAlert('Enter an API key for this provider before adding it as a fallback', 'warning');
+            return;
+        }
+        
+        if (this.failoverChain.some(entry => entry.provider === target.provider && entry.model === target.model)) {
+            this.showConfigurationAlert(`${this.describeTarget(target)} is already in the failover chain`, 'info');
+            return;
+        }
+        
+        this.failoverChain.push(target);
+        this.renderFailoverChain();
+        this.showConfigurationAlert(`Added fallback: ${this.describeTarget(target)}`, 'success');
+    }
+    
+    removeFailoverTarget(index) {
+        this.failoverChain.splice(index, 1);
+        this.renderFailoverChain();
+    }
+    
+    renderFailoverChain() {
+        if (!this.failoverChainEl) return;
+        
+        this.failoverChainEl.innerHTML = '';
+        if (this.failoverChain.length === 0) {
+            this.failoverChainEl.innerHTML = '<small class="text-muted">No fallbacks configured</small>';
+            return;
+        }
+        
+        this.failoverChain.forEach((target, index) => {
+            const item = document.createElement('span');
+            item.className = 'badge bg-secondary d-inline-flex align-items-center gap-2';
+            item.textContent = `${index + 1}. ${this.describeTarget(target)}`;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn-close btn-close-white btn-sm';
+            removeBtn.setAttribute('aria-label', 'Remove fallback');
+            removeBtn.addEventListener('click', () => this.removeFailoverTarget(index));
+            
+            item.appendChild(removeBtn);
+            this.failoverChainEl.appendChild(item);
+        });
+    }
+    
+    async loadSearchBackends() {
+        try {
+            const response = await fetch('/api/search/backends', { signal: AbortSignal.timeout(10000) });
+            if (!response.ok) {
+                throw new Error(`Search backends API error: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            this.searchBackends = data.backends || [];
+            if (!this.searchPreferences) {
+                const [primary, ...fallbacks] = data.defaultOrder || [];
+                this.searchPreferences = { primary, fallbacks };
+            }
+        } catch (error) {
+            this.log('warn', 'Search backends unavailable, using the server default order', { error: error.message });
+        }
+        
+        this.renderSearchBackends();
+    }
+    
+    loadSearchPreferences() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('agentflow-search-backends') || 'null');
+            return saved && typeof saved.primary === 'string' && Array.isArray(saved.fallbacks) ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    saveSearchPreferences() {
+        try {
+            localStorage.setItem('agentflow-search-backends', JSON.stringify(this.searchPreferences));
+        } catch (error) {
+            this.log('warn', 'Could not save search backends', { error: error.message });
+        }
+    }
+    
+    // Primary first, then fallbacks; an empty list lets the server use its default order
+    getSearchBackendOrder() {
+        if (!this.searchPreferences) return [];
+        const { primary, fallbacks } = this.searchPreferences;
+        return [primary, ...fallbacks.filter(id => id !== primary)].filter(Boolean);
+    }
+    
+    describeSearchBackend(id) {
+        const backend = this.searchBackends.find(entry => entry.id === id);
+        // 'fallback' and 'emergency' are produced when the search request itself fails
+        if (!backend) return { fallback: 'offline fallback', emergency: 'emergency fallback' }[id] || id;
+        // Backends that need no browser credentials but are not set up on the server are skipped
+        const unavailable = !backend.serverConfigured && backend.credentials.length === 0;
+        return unavailable ? `${backend.name} (not set up on server)` : backend.name;
+    }
+    
+    addSearchFallback() {
+        const id = this.searchFallbackSelect.value;
+        if (!id || !this.searchPreferences) return;
+        
+        this.searchPreferences.fallbacks = [...this.searchPreferences.fallbacks.filter(entry => entry !== id), id];
+        this.saveSearchPreferences();
+        this.renderSearchBackends();
+    }
+    
+    removeSearchFallback(id) {
+        this.searchPreferences.fallbacks = this.searchPreferences.fallbacks.filter(entry => entry !== id);
+        this.saveSearchPreferences();
+        this.renderSearchBackends();
+    }
+    
+    renderSearchBackends() {
+        if (!this.searchPrimarySelect || this.searchBackends.length === 0 || !this.searchPreferences) return;
+        
+        const option = (backend) => `<option value="${this.escapeHtml(backend.id)}">${this.escapeHtml(this.describeSearchBackend(backend.id))}</option>`;
+        const order = this.getSearchBackendOrder();
+        const [primary, ...fallbacks] = order;
+        
+        this.searchPrimarySelect.innerHTML = this.searchBackends.map(option).join('');
+        this.searchPrimarySelect.value = primary;
+        
+        const available = this.searchBackends.filter(backend => !order.includes(backend.id));
+        this.searchFallbackSelect.innerHTML = available.map(option).join('');
+        this.searchFallbackSelect.disabled = available.length === 0;
+        this.addSearchFallbackBtn.disabled = available.length === 0;
+        
+        this.searchFallbacksEl.innerHTML = '';
+        if (fallbacks.length === 0) {
+            this.searchFallbacksEl.innerHTML = '<small class="text-muted">No fallbacks configured</small>';
+            return;
+        }
+        
+        fallbacks.forEach((id, index) => {
+            const item = document.createElement('span');
+            item.className = 'badge bg-secondary d-inline-flex align-items-center gap-2';
+            item.textContent = `${index + 1}. ${this.describeSearchBackend(id)}`;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn-close btn-close-white btn-sm';
+            removeBtn.setAttribute('aria-label', 'Remove search fallback');
+            removeBtn.addEventListener('click', () => this.removeSearchFallback(id));
+            
+            item.appendChild(removeBtn);
+            this.searchFallbacksEl.appendChild(item);
+        });
+    }
+    
     validateGoogleSearchKey() {
         const googleKey = this.googleSearchKeyInput.value.trim();
         const searchEngineId = this.searchEngineIdInput.value.trim();
@@ -355,8 +1258,9 @@ class LLMAgent {
         const alertEl = document.createElement('div');
         alertEl.className = `alert alert-${type} alert-dismissible fade show position-fixed`;
         alertEl.style.cssText = 'top: 20px; right: 20px; z-index: 9999; min-width: 300px;';
+        // Messages are plain text and may hold user-entered names (personas, models)
         alertEl.innerHTML = `
-            ${message}
+            ${this.escapeHtml(message)}
             <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
         `;
         
@@ -376,6 +1280,12 @@ class LLMAgent {
         }
 
         this.conversation = [];
+        this.conversationSummary = '';
+        this.summarizedMessageCount = 0;
+        this.renderSummary();
+        // Variables from the old conversation should not leak into the new one
+        this.endJavaScriptSession();
+        this.conversationId = this.createConversationId();
         this.conversationEl.innerHTML = '';
         this.addMessage('agent', 'Welcome back to AgentFlow! 🧠 Ready to assist you with searches, AI workflows, and code execution.');
         this.updateMessageCount();
@@ -410,25 +1320,182 @@ class LLMAgent {
             content: limitedInput
         });
 
+        await this.summarizeHistory();
         await this.agentLoop();
     }
-
+
+    // Rolling summarization: once history passes the threshold, older turns are
+    // folded into the running summary and only the recent half is kept verbatim.
+    async summarizeHistory() {
+        if (!this.summaryModeToggle?.checked) return;
+        
+        const target = this.getActiveTarget();
+        const threshold = this.getSummaryThreshold();
+        if (ContextManager.countTokens(this.conversation, target.model) <= threshold) return;
+        
+        const { older, recent } = ContextManager.splitForSummary(this.conversation, {
+            model: target.model,
+            keepTokens: Math.floor(threshold / 2)
+        });
+        if (older.length === 0) return;
+        
+        try {
+            const response = await fetch('/api/summarize', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...target,
+                    messages: older,
+                    previousSummary: this.conversationSummary,
+                    demoMode: this.isDemoMode()
+                }),
+                signal: this.getRequestSignal(60000)
+            });
+            
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || !data.summary) {
+                throw new Error(data.error || `Summarization failed: ${response.status}`);
+            }
+            
+            this.conversationSummary = data.summary;
+            this.summarizedMessageCount += older.length;
+            this.conversation = recent;
+            this.renderSummary();
+            this.log('info', 'Older turns summarized', {
+                summarized: older.length,
+                kept: recent.length,
+                source: data.source
+            });
+        } catch (error) {
+            // Stopped by the user: agentLoop sees the aborted signal and ends the run
+            if (error.name === 'AbortError') return;
+            
+            // Not fatal: the context manager still trims history to the budget
+            this.log('warn', 'Summarization failed, keeping full history', { error: error.message });
+            this.showAlert('Could not summarize older messages - continuing with full history', 'warning');
+        }
+    }
+    
+    renderSummary() {
+        if (!this.summaryPanel) return;
+        
+        this.summaryPanel.style.display = this.conversationSummary ? 'block' : 'none';
+        this.summaryTextEl.value = this.conversationSummary;
+        this.summaryMetaEl.textContent = `${this.summarizedMessageCount} earlier message${this.summarizedMessageCount !== 1 ? 's' : ''} summarized. Edits apply from your next message.`;
+    }
+    
+    createConversationId() {
+        return window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).substring(2)}`;
+    }
+    
+    // Lists the variables held by this conversation's JavaScript session; hidden until one exists
+    async refreshSessionVariables() {
+        if (!this.sessionPanel) return;
+        
+        try {
+            const response = await fetch(`/api/sessions/${encodeURIComponent(this.conversationId)}/variables`);
+            if (!response.ok) throw new Error(`Session API error: ${response.status}`);
+            const data = await response.json();
+            
+            this.sessionPanel.style.display = data.active ? 'block' : 'none';
+            if (!data.active) return;
+            
+            this.sessionVariablesEl.innerHTML = data.variables.length === 0
+                ? '<div class="text-muted small">No variables defined yet.</div>'
+                : data.variables.map(variable => `
+                    <div class="session-variable">
+                        <code>${this.escapeHtml(variable.name)}</code>
+                        <span class="badge bg-secondary ms-1">${this.escapeHtml(variable.type)}</span>
+                        <span class="text-muted small ms-1">${this.escapeHtml(variable.preview)}</span>
+                    </div>
+                `).join('');
+            this.sessionMetaEl.textContent = `Expires after inactivity at ${new Date(data.expiresAt).toLocaleTimeString()}.`;
+        } catch (error) {
+            this.log('warn', 'Could not load session variables', { error: error.message });
+        }
+    }
+    
+    async resetJavaScriptSession() {
+        await this.endJavaScriptSession();
+        this.showAlert('JavaScript session reset', 'info');
+    }
+    
+    async endJavaScriptSession() {
+        if (this.sessionPanel) {
+            this.sessionPanel.style.display = 'none';
+        }
+        
+        try {
+            await fetch(`/api/sessions/${encodeURIComponent(this.conversationId)}`, { method: 'DELETE' });
+        } catch (error) {
+            this.log('warn', 'Could not reset JavaScript session', { error: error.message });
+        }
+    }
+    
+    // The system prompt and running summary are pinned as system messages so trimming never drops them
+    getContextMessages() {
+        const systemMessages = [];
+        const systemPrompt = this.getSystemPrompt();
+        
+        if (systemPrompt) {
+            systemMessages.push({ role: 'system', content: systemPrompt });
+        }
+        if (this.conversationSummary) {
+            systemMessages.push({ role: 'system', content: `Summary of the earlier conversation:\n${this.conversationSummary}` });
+        }
+        
+        return [...systemMessages, ...this.conversation];
+    }
+    
+    // Runs LLM/tool rounds for one user turn. Steps (LLM calls), tool calls and argument repairs
+    // are budgeted, and identical repeated calls are not re-run; when a limit is hit the model
+    // is asked once more, with tools disabled, to answer from what it has gathered.
     async agentLoop() {
+        const signal = this.abortController.signal;
+        const maxSteps = this.getLimit(this.maxStepsInput, 8);
+        const maxToolCalls = this.getLimit(this.maxToolCallsInput, 12);
+        const maxRepairs = this.getLimit(this.maxRepairsInput, 2);
+        const repairsExhausted = (name) => (this.repairAttempts.get(name) || 0) > maxRepairs;
+        const seenCalls = new Set();
+        this.repairAttempts = new Map();
+        let steps = 0;
+        let toolCallCount = 0;
+        
         try {
             while (true) {
+                signal.throwIfAborted();
                 const response = await this.callLLM();
+                steps++;
+                this.displayResponse(response);
                 
-                if (response.content) {
-                    this.addMessage('agent', response.content);
-                    this.log('debug', 'Agent response received', { 
-                        contentLength: response.content.length 
-                    });
-                }
-
                 if (response.tool_calls && response.tool_calls.length > 0) {
-                    const toolResults = await Promise.all(
-                        response.tool_calls.map(tc => this.handleToolCall(tc))
-                    );
+                    let limitReason = steps >= maxSteps ? `step limit reached (${maxSteps})` : null;
+                    let freshCalls = 0;
+                    
+                    const toolResults = await Promise.all(response.tool_calls.map(tc => {
+                        const signature = this.getToolCallSignature(tc);
+                        
+                        if (!limitReason && seenCalls.has(signature)) {
+                            return this.skippedToolResult(tc, 'an identical call was already made this turn; use its earlier result');
+                        }
+                        if (!limitReason && repairsExhausted(tc.function.name)) {
+                            return this.skippedToolResult(tc, `no repair attempts are left for ${tc.function.name} this turn`);
+                        }
+                        if (!limitReason && toolCallCount >= maxToolCalls) {
+                            limitReason = `tool call limit reached (${maxToolCalls})`;
+                        }
+                        if (limitReason) {
+                            return this.skippedToolResult(tc, limitReason);
+                        }
+                        
+                        seenCalls.add(signature);
+                        toolCallCount++;
+                        freshCalls++;
+                        return this.handleToolCall(tc);
+                    }));
+                    
+                    // A round stopped midway is dropped whole, so no tool_calls lack results
+                    signal.throwIfAborted();
                     
                     this.conversation.push({
                         role: 'assistant',
@@ -440,6 +1507,21 @@ class LLMAgent {
                         this.conversation.push(result);
                     }
                     
+                    if (!limitReason && freshCalls === 0) {
+                        limitReason = 'the model kept repeating identical tool calls';
+                    }
+                    
+                    const exhausted = response.tool_calls.map(tc => tc.function.name).find(repairsExhausted);
+                    if (!limitReason && exhausted) {
+                        limitReason = `${exhausted} was still called with invalid arguments after ${maxRepairs} repair attempt${maxRepairs !== 1 ? 's' : ''}`;
+                    }
+                    
+                    if (limitReason) {
+                        this.log('warn', 'Agent loop limit hit', { reason: limitReason, steps, toolCallCount });
+                        await this.finalizeTurn(limitReason);
+                        break;
+                    }
+                    
                     continue;
                 } else {
                     this.conversation.push({
@@ -450,62 +1532,367 @@ class LLMAgent {
                 }
             }
         } catch (error) {
-            this.showAlert(`Agent Error: ${error.message}`, 'danger');
-            this.log('error', 'Agent loop error', { error: error.message });
+            if (error.name === 'AbortError') {
+                this.addMessage('tool', '⏹ Stopped. The unfinished step was discarded.');
+                this.log('info', 'Agent run stopped by user');
+            } else if (error.isLLMError) {
+                this.showLLMError(error);
+                this.log('warn', 'LLM call failed', { code: error.code, error: error.message });
+            } else {
+                this.showAlert(`Agent Error: ${error.message}`, 'danger');
+                this.log('error', 'Agent loop error', { error: error.message });
+            }
         } finally {
             this.setProcessing(false);
         }
     }
 
+    // Streamed responses were already rendered token-by-token
+    displayResponse(response) {
+        let messageEl = response.messageEl || null;
+        if (response.content && !response.streamed) {
+            messageEl = this.addMessage('agent', response.content);
+            this.log('debug', 'Agent response received', { 
+                contentLength: response.content.length 
+            });
+        }
+        
+        if (messageEl && response.answeredBy) {
+            this.addProviderBadge(messageEl, response.answeredBy);
+        }
+        
+        return messageEl;
+    }
+    
+    // Last call of a turn that hit a limit: tools stay declared but cannot be called
+    async finalizeTurn(reason) {
+        this.addMessage('tool', `⚠️ Stopping tool use: ${reason}. Asking for a summary of what was found.`);
+        
+        const response = await this.callLLM({
+            finalInstruction: `Tool use has stopped for this turn (${reason}). ` +
+                'Without calling any more tools, answer the user as well as you can from the information gathered so far, ' +
+                'and say briefly what is still missing.'
+        });
+        
+        if (!response.content) {
+            response.content = 'I reached the tool limit for this turn before finishing. The tool results above are what I found so far.';
+            response.streamed = false;
+        }
+        this.displayResponse(response);
+        
+        this.conversation.push({
+            role: 'assistant',
+            content: response.content
+        });
+    }
+    
+    getToolCallSignature(toolCall) {
+        const args = toolCall.function.arguments || '';
+        try {
+            const parsed = JSON.parse(args);
+            const canonical = parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+                ? Object.keys(parsed).sort().reduce((sorted, key) => ({ ...sorted, [key]: parsed[key] }), {})
+                : parsed;
+            return `${toolCall.function.name}:${JSON.stringify(canonical)}`;
+        } catch (error) {
+            return `${toolCall.function.name}:${args.trim()}`;
+        }
+    }
+    
+    skippedToolResult(toolCall, reason) {
+        this.addMessage('tool', `⏭️ Skipped ${toolCall.function.name}: ${reason}`);
+        return {
+            role: 'tool',
+            tool_call_id: toolCall.id,
+            content: JSON.stringify({ skipped: true, reason })
+        };
+    }
+    
+    addProviderBadge(messageEl, target) {
+        const badge = document.createElement('span');
+        badge.className = 'badge provider-badge ms-2';
+        badge.textContent = this.describeTarget(target);
+        messageEl.querySelector('strong').after(badge);
+    }
+    
+    // Show a provider failure in the conversation with a retry action.
+    // The conversation is unchanged by a failed LLM call, so retrying re-enters the loop as-is.
+    showLLMError(error) {
+        const providerName = this.getProviderInfo(error.provider)?.name || (error.provider || 'LLM').toUpperCase();
+        const hint = error.retryable ? '\nThis looks temporary - retrying may help.' : '';
+        const messageEl = this.addMessage(
+            'agent',
+            `⚠️ ${providerName} request failed (${error.code}): ${error.message}${hint}`,
+            'error-message'
+        );
+        
+        const retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.className = 'btn btn-sm btn-light mt-2';
+        retryBtn.innerHTML = '<i class="fas fa-redo me-1"></i>Retry';
+        retryBtn.addEventListener('click', () => {
+            retryBtn.remove();
+            this.retryLastTurn();
+        });
+        messageEl.querySelector('.message-body').appendChild(retryBtn);
+    }
+    
+    async retryLastTurn() {
+        if (this.isProcessing) return;
+        
+        this.setProcessing(true);
+        await this.agentLoop();
+    }
+    
+    createLLMError({ error, code = 'provider_error', status = null, retryable = false, provider = null }) {
+        const llmError = new Error(error || 'LLM request failed');
+        llmError.isLLMError = true;
+        llmError.code = code;
+        llmError.status = status;
+        llmError.retryable = retryable;
+        llmError.provider = provider;
+        return llmError;
+    }
+    
     // FIXED: Always read fresh credentials from frontend
-    async callLLM() {
-        const provider = this.providerSelect.value;
-        const apiKey = this.apiKeyInput.value.trim();
-        const model = this.modelSelect.value;
-
-        if (!apiKey || apiKey === '') {
-            return this.getMockLLMResponse();
+    // options.finalInstruction: closing request of a turn that hit a limit (no tool calls allowed)
+    async callLLM(options = {}) {
+        // Mock responses only when the user has explicitly switched demo mode on
+        if (this.isDemoMode()) {
+            return options.finalInstruction
+                ? { content: 'Demo mode: tool use stopped for this turn. The tool results above are what I found so far.', tool_calls: null }
+                : this.getMockLLMResponse();
         }
 
+        // The configured provider answers first; failover entries are tried in order after it
+        const targets = [this.getActiveTarget(), ...this.failoverChain];
+        let lastError = null;
+        
+        for (let i = 0; i < targets.length; i++) {
+            const target = targets[i];
+            try {
+                const response = await this.requestLLM(target, options);
+                response.answeredBy = target;
+                return response;
+            } catch (error) {
+                if (!error.isLLMError) throw error;
+                lastError = error;
+                
+                const next = targets[i + 1];
+                if (next) {
+                    this.showAlert(`${this.describeTarget(target)} failed (${error.code}) - trying ${this.describeTarget(next)}`, 'warning');
+                    this.log('warn', 'Failing over to next provider', {
+                        from: target.provider,
+                        to: next.provider,
+                        code: error.code
+                    });
+                }
+            }
+        }
+        
+        throw lastError;
+    }
+    
+    getActiveTarget() {
+        const provider = this.providerSelect.value;
+        const target = {
+            provider,
+            model: this.getSelectedModel(),
+            apiKey: this.apiKeyInput.value.trim()
+        };
+        
+        if (this.getProviderInfo(provider)?.customEndpoint) {
+            target.providerOptions = {
+                baseUrl: this.customBaseUrlInput.value.trim(),
+                authHeader: this.customAuthHeaderInput.value.trim() || 'Authorization',
+                // Many OpenAI-compatible servers reject reasoning_effort, so it is only sent when enabled
+                reasoning: Boolean(this.customReasoningInput?.checked)
+            };
+        }
+        
+        return target;
+    }
+    
+    describeTarget(target) {
+        const providerName = this.getProviderInfo(target.provider)?.name || target.provider;
+        return `${providerName} · ${target.model}`;
+    }
+    
+    async requestLLM({ provider, model, apiKey, providerOptions }, { finalInstruction } = {}) {
+        if ((!apiKey || apiKey === '') && this.requiresApiKey(provider)) {
+            throw this.createLLMError({
+                error: 'No API key configured. Add a key or enable Demo Mode.',
+                code: 'missing_key',
+                provider
+            });
+        }
+        
+        if (providerOptions && (!providerOptions.baseUrl || !model)) {
+            throw this.createLLMError({
+                error: 'Enter a base URL and model name for the custom provider',
+                code: 'invalid_config',
+                provider
+            });
+        }
+        
         try {
             // Always read fresh values from frontend every time
             const requestData = {
                 provider: provider,
                 model: model,
-                messages: this.conversation.slice(-20), // Memory limit
-                tools: this.tools,
+                // Backend fits this to the token budget
+                messages: finalInstruction
+                    ? [...this.getContextMessages(), { role: 'user', content: finalInstruction }]
+                    : this.getContextMessages(),
+                contextBudget: this.getContextBudget(),
+                tools: this.getAllowedTools(),
+                generation: this.getGenerationSettings(),
+                toolChoice: finalInstruction ? 'none' : 'auto',
                 apiKey: apiKey, // Fresh from frontend
                 googleSearchKey: this.googleSearchKeyInput.value.trim(), // Fresh
-                searchEngineId: this.searchEngineIdInput.value.trim() // Fresh
+                searchEngineId: this.searchEngineIdInput.value.trim(), // Fresh
+                stream: this.streamModeToggle ? this.streamModeToggle.checked : true
             };
 
+            if (providerOptions) {
+                requestData.providerOptions = providerOptions;
+            }
+            
             const response = await fetch('/api/llm', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(requestData),
-                signal: AbortSignal.timeout(60000)
+                signal: this.getRequestSignal(60000)
             });
 
             if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || `API request failed: ${response.status}`);
+                const errorData = await response.json().catch(() => ({}));
+                throw this.createLLMError({
+                    error: errorData.error || `API request failed: ${response.status}`,
+                    code: errorData.code,
+                    status: errorData.status || response.status,
+                    retryable: errorData.retryable ?? response.status >= 500,
+                    provider: errorData.provider || provider
+                });
             }
 
+            // The backend falls back to plain JSON when streaming could not start
+            if (response.headers.get('Content-Type')?.includes('text/event-stream')) {
+                return await this.readLLMStream(response);
+            }
+            
             const result = await response.json();
             return result;
 
         } catch (error) {
-            this.log('error', `Backend API Error: ${provider.toUpperCase()}`, { error: error.message });
-            throw new Error(`Failed to call ${provider.toUpperCase()} API: ${error.message}`);
+            // Stop is not a provider failure and must not trigger failover
+            if (error.isLLMError || error.name === 'AbortError') {
+                throw error;
+            }
+            
+            // Network failures and timeouts never reached a provider
+            this.log('debug', `Backend API Error: ${provider.toUpperCase()}`, { error: error.message });
+            throw this.createLLMError({
+                error: error.message,
+                code: error.name === 'TimeoutError' ? 'timeout' : 'network_error',
+                retryable: true,
+                provider
+            });
         }
     }
 
+    // Render SSE deltas into a growing agent bubble and rebuild complete tool_calls
+    async readLLMStream(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const toolCalls = [];
+        let buffer = '';
+        let content = '';
+        let messageEl = null;
+        
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                
+                // The last event may arrive without a trailing newline
+                buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+                const lines = buffer.split(/\r?\n/);
+                buffer = done ? '' : lines.pop();
+                
+                for (const line of lines) {
+                    if (!line.startsWith('data:')) continue;
+                    const payload = line.slice(5).trim();
+                    if (!payload || payload === '[DONE]') continue;
+                    
+                    let event;
+                    try {
+                        event = JSON.parse(payload);
+                    } catch (error) {
+                        this.log('warn', 'Skipping malformed stream event', { payload: payload.substring(0, 100) });
+                        continue;
+                    }
+                    
+                    if (event.error) {
+                        throw this.createLLMError(event);
+                    }
+                    
+                    if (event.content) {
+                        content += event.content;
+                        if (!messageEl) {
+                            messageEl = this.addMessage('agent', '', 'streaming');
+                        }
+                        messageEl.querySelector('.message-body').innerHTML =
+                            this.formatMessage(content.substring(0, this.maxMessageLength));
+                        this.scrollToBottom();
+                    }
+                    
+                    if (event.tool_calls) {
+                        this.mergeToolCallDeltas(toolCalls, event.tool_calls);
+                    }
+                }
+                
+                if (done) break;
+            }
+        } catch (error) {
+            // A failed stream may leave a partial answer; keep it visible but marked
+            messageEl?.classList.add('interrupted');
+            throw error;
+        } finally {
+            messageEl?.classList.remove('streaming');
+        }
+        
+        const completeCalls = toolCalls.filter(Boolean);
+        this.log('debug', 'Stream completed', {
+            contentLength: content.length,
+            toolCalls: completeCalls.length
+        });
+        
+        return {
+            content,
+            tool_calls: completeCalls.length > 0 ? completeCalls : null,
+            streamed: true,
+            messageEl
+        };
+    }
+    
+    mergeToolCallDeltas(toolCalls, deltas) {
+        deltas.forEach(delta => {
+            if (!toolCalls[delta.index]) {
+                toolCalls[delta.index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+            }
+            const target = toolCalls[delta.index];
+            if (delta.id) target.id = delta.id;
+            if (delta.function?.name) target.function.name += delta.function.name;
+            if (delta.function?.arguments) target.function.arguments += delta.function.arguments;
+        });
+    }
+    
     // FIXED: Consistent response format that won't break mid-conversation
     getMockLLMResponse() {
         const lastMessage = this.conversation[this.conversation.length - 1];
         const userInput = lastMessage ? lastMessage.content.toLowerCase() : '';
         const provider = this.providerSelect.value;
-        const model = this.modelSelect.value;
+        const model = this.getSelectedModel();
         
         let content = `Hello! I'm a ${provider.toUpperCase()} ${model} response in demo mode. `;
         
@@ -585,7 +1972,7 @@ class LLMAgent {
                     function: {
                         name: 'execute_javascript',
                         arguments: JSON.stringify({
-                            code: "console.log('Hello from AgentFlow demo!'); const result = Math.random() * 100; console.log('Random number:', Math.floor(result)); return Math.floor(result);"
+                            code: "console.log('Hello from AgentFlow demo!'); (() => { const result = Math.floor(Math.random() * 100); console.log('Random number:', result); return result; })()"
                         })
                     }
                 }]
@@ -644,8 +2031,29 @@ class LLMAgent {
 
     // Tool handling
     async handleToolCall(toolCall) {
-        const { name, arguments: args } = toolCall.function;
-        const parsedArgs = JSON.parse(args);
+        const { name } = toolCall.function;
+        const tool = this.tools.find(entry => entry.function.name === name);
+        
+        // Malformed or schema-violating arguments go back to the model as a structured error
+        const checked = tool
+            ? SchemaValidator.validateArguments(tool.function.parameters, toolCall.function.arguments)
+            : SchemaValidator.parseArguments(toolCall.function.arguments);
+        if (tool ? !checked.valid : !checked.ok) {
+            return this.invalidArgumentsResult(toolCall, tool, checked.errors || [{ path: '', message: checked.error }]);
+        }
+        let parsedArgs = checked.value;
+        
+        // Denied and rejected calls go back to the model as tool results so it can change plan
+        const decision = await this.checkToolPolicy(toolCall, parsedArgs);
+        if (!decision.approved) {
+            this.addMessage('tool', `🚫 ${name} not run: ${decision.reason}`);
+            return {
+                role: 'tool',
+                tool_call_id: toolCall.id,
+                content: JSON.stringify({ rejected: true, reason: decision.reason })
+            };
+        }
+        parsedArgs = decision.args;
 
         this.addMessage('tool', `🔧 Executing ${name}...`, 'thinking');
 
@@ -662,17 +2070,28 @@ class LLMAgent {
                     result = await this.executeJavaScript(parsedArgs.code);
                     break;
                 default:
-                    throw new Error(`Unknown tool: ${name}`);
+                    if (this.getCustomTool(name)) {
+                        result = await this.invokeCustomTool(this.getCustomTool(name), parsedArgs);
+                    } else if (this.toolMeta.has(name)) {
+                        result = await this.invokeTool(name, parsedArgs);
+                    } else {
+                        throw new Error(`Unknown tool: ${name}`);
+                    }
             }
 
             this.addMessage('tool', `✅ ${name} completed:\n${this.formatToolResult(name, result)}`);
+            if (name === 'execute_javascript' || name === 'reset_javascript_session') {
+                this.refreshSessionVariables();
+            }
             
             return {
                 role: 'tool',
                 tool_call_id: toolCall.id,
-                content: JSON.stringify(result)
+                content: JSON.stringify(this.toModelResult(result))
             };
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            
             const errorMsg = `❌ ${name} failed: ${error.message}`;
             this.addMessage('tool', errorMsg);
             return {
@@ -683,6 +2102,149 @@ class LLMAgent {
         }
     }
 
+    // Rich code outputs (tables, charts, files) are rendered in the chat; the model gets their text summaries.
+    // Placeholder search links are shown to the user but never reach the model, which would cite them.
+    toModelResult(result) {
+        if (Array.isArray(result?.outputs)) {
+            return { ...result, outputs: result.outputs.map(output => output.summary) };
+        }
+        if (Array.isArray(result?.results) && result.results.some(item => item.provenance === 'synthetic')) {
+            const results = result.results.filter(item => item.provenance !== 'synthetic');
+            return {
+                ...result,
+                results,
+                totalResults: results.length,
+                omitted_placeholders: result.results.length - results.length,
+                note: results.length > 0
+                    ? result.note
+                    : 'No real search results: no configured search backend found anything for this query'
+            };
+        }
+        return result;
+    }
+    
+    // Repair attempts are counted per tool for the current turn (reset in agentLoop)
+    invalidArgumentsResult(toolCall, tool, errors) {
+        const name = toolCall.function.name;
+        const maxRepairs = this.getLimit(this.maxRepairsInput, 2);
+        const attempts = (this.repairAttempts.get(name) || 0) + 1;
+        this.repairAttempts.set(name, attempts);
+        
+        const issues = errors.map(error => `${error.path || '(arguments)'} ${error.message}`);
+        const attemptsLeft = Math.max(maxRepairs - attempts + 1, 0);
+        this.addMessage('tool', `⚠️ ${name} called with invalid arguments:\n${issues.join('\n')}`);
+        this.log('debug', 'Invalid tool arguments', { name, attempts, issues });
+        
+        return {
+            role: 'tool',
+            tool_call_id: toolCall.id,
+            content: JSON.stringify({
+                error: 'invalid_arguments',
+                message: attemptsLeft > 0
+                    ? `Arguments for ${name} are invalid. Fix them and call the tool again.`
+                    : `Arguments for ${name} are still invalid and no repair attempts are left. Tool use stops for this turn.`,
+                issues,
+                attemptsLeft,
+                ...(tool && { expectedSchema: tool.function.parameters })
+            })
+        };
+    }
+    
+    async checkToolPolicy(toolCall, args) {
+        const name = toolCall.function.name;
+        
+        // The model only sees allowed tools, but it can still name others
+        if (!this.getAllowedToolNames().includes(name)) {
+            return { approved: false, reason: 'this tool is disabled for the current persona' };
+        }
+        if (name === 'reset_javascript_session' && this.isBrowserCodeExecution()) {
+            return { approved: false, reason: 'code runs in the browser, where each call starts fresh and there is no session to reset' };
+        }
+        
+        switch (this.getToolPolicy(name)) {
+            case 'deny':
+                return { approved: false, reason: 'this tool is denied by the user\'s tool policy' };
+            case 'ask':
+                return this.requestToolApproval(toolCall, args);
+            default:
+                return { approved: true, args };
+        }
+    }
+    
+    // Approval card: arguments can be edited before approving; Stop cancels a pending card
+    requestToolApproval(toolCall, args) {
+        const name = toolCall.function.name;
+        const schema = this.tools.find(entry => entry.function.name === name)?.function.parameters;
+        const signal = this.abortController?.signal;
+        const messageEl = this.addMessage('tool', `✋ ${name} is waiting for your approval. Review or edit the arguments:`, 'approval-card');
+        const bodyEl = messageEl.querySelector('.message-body');
+        
+        const editor = document.createElement('textarea');
+        editor.className = 'form-control mt-2';
+        editor.value = JSON.stringify(args, null, 2);
+        editor.rows = Math.min(editor.value.split('\n').length + 1, 14);
+        
+        const reasonInput = document.createElement('input');
+        reasonInput.type = 'text';
+        reasonInput.className = 'form-control form-control-sm mt-2';
+        reasonInput.placeholder = 'Reason for rejecting (optional, sent to the model)';
+        
+        const errorEl = document.createElement('small');
+        errorEl.className = 'd-block text-danger mt-1';
+        
+        const actions = document.createElement('div');
+        actions.className = 'd-flex gap-2 mt-2';
+        actions.innerHTML = `
+            <button type="button" class="btn btn-sm btn-success"><i class="fas fa-check me-1"></i>Approve</button>
+            <button type="button" class="btn btn-sm btn-outline-danger"><i class="fas fa-times me-1"></i>Reject</button>
+        `;
+        const [approveBtn, rejectBtn] = actions.querySelectorAll('button');
+        
+        bodyEl.append(editor, reasonInput, errorEl, actions);
+        this.scrollToBottom();
+        
+        return new Promise((resolve, reject) => {
+            const settle = (status) => {
+                signal?.removeEventListener('abort', onAbort);
+                editor.disabled = true;
+                reasonInput.remove();
+                actions.remove();
+                errorEl.className = 'd-block mt-1';
+                errorEl.textContent = status;
+            };
+            
+            const onAbort = () => {
+                settle('⏹ Cancelled');
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            
+            approveBtn.addEventListener('click', () => {
+                // Edited arguments get the same schema check as the model's
+                const checked = SchemaValidator.validateArguments(schema || { type: 'object' }, editor.value);
+                if (!checked.valid) {
+                    errorEl.textContent = `Invalid arguments: ${checked.errors.map(error => `${error.path || '(arguments)'} ${error.message}`).join('; ')}`;
+                    return;
+                }
+                const edited = checked.value;
+                
+                // History records the arguments that actually ran
+                toolCall.function.arguments = JSON.stringify(edited);
+                settle('✅ Approved');
+                resolve({ approved: true, args: edited });
+            });
+            
+            rejectBtn.addEventListener('click', () => {
+                const reason = reasonInput.value.trim();
+                settle('🚫 Rejected');
+                resolve({
+                    approved: false,
+                    reason: reason ? `the user rejected this call: ${reason}` : 'the user rejected this call'
+                });
+            });
+        });
+    }
+    
     // FIXED: Google Search with fresh credential reading every time
     async googleSearch(query, numResults = 5) {
         if (!query || typeof query !== 'string') {
@@ -700,7 +2262,8 @@ class LLMAgent {
         this.lastSearchTime = Date.now();
         
         // Check cache
-        const cacheKey = `${query.toLowerCase()}_${numResults}`;
+        const searchBackends = this.getSearchBackendOrder();
+        const cacheKey = `${searchBackends.join(',')}_${query.toLowerCase()}_${numResults}`;
         this.cleanSearchCache();
         
         const cached = this.searchCache.get(cacheKey);
@@ -713,35 +2276,23 @@ class LLMAgent {
             // Always read fresh credentials from frontend every time
             const googleSearchKey = this.googleSearchKeyInput.value.trim();
             const searchEngineId = this.searchEngineIdInput.value.trim();
+            const braveApiKey = this.braveApiKeyInput?.value.trim() || '';
             
             this.log('debug', 'Starting search with fresh credentials', { 
                 query: query.substring(0, 50), 
                 numResults, 
                 hasApiKey: !!googleSearchKey,
                 hasEngineId: !!searchEngineId,
+                backends: searchBackends,
                 cacheSize: this.searchCache.size
             });
             
             // Always send fresh credentials to backend every time
-            const requestData = {
-                query: query,
-                num_results: numResults,
-                googleSearchKey: googleSearchKey, // Fresh from frontend
-                searchEngineId: searchEngineId // Fresh from frontend
-            };
-            
-            const response = await fetch('/api/search', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(requestData),
-                signal: AbortSignal.timeout(15000)
-            });
-
-            if (!response.ok) {
-                throw new Error(`Search API error: ${response.status}`);
-            }
-
-            const result = await response.json();
+            const result = await this.invokeTool(
+                'google_search',
+                { query, num_results: numResults },
+                { googleSearchKey, searchEngineId, braveApiKey, searchBackends }
+            );
             
             // Clean and validate result
             const cleanedResult = {
@@ -750,9 +2301,14 @@ class LLMAgent {
                     title: (item.title || 'No title').substring(0, 150),
                     link: item.link || '#',
                     snippet: (item.snippet || 'No description').substring(0, 300),
-                    displayLink: item.displayLink || 'unknown'
+                    displayLink: item.displayLink || 'unknown',
+                    backend: item.backend || result.backend || 'unknown',
+                    // Unlabelled results are treated as unverified
+                    provenance: item.provenance || 'synthetic'
                 })),
                 source: result.source || 'Unknown',
+                backend: result.backend || null,
+                attempts: result.attempts || [],
                 totalResults: Math.min(result.totalResults || 0, 1000000),
                 timestamp: result.timestamp || new Date().toISOString(),
                 cached: result.cached || false,
@@ -777,6 +2333,8 @@ class LLMAgent {
             return cleanedResult;
 
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            
             this.log('warn', 'Search failed, using fallback', { 
                 query: query.substring(0, 50), 
                 error: error.message 
@@ -817,13 +2375,14 @@ class LLMAgent {
                 displayLink: "www.google.com"
             }
         };
+        const label = (results, provenance) => results.map(result => ({ ...result, backend: 'fallback', provenance }));
         
         // Check if we have specific knowledge for this query
         for (const [topic, result] of Object.entries(knowledgeResults)) {
             if (queryLower.includes(topic)) {
                 return {
                     query,
-                    results: [result].slice(0, numResults),
+                    results: label([result].slice(0, numResults), 'knowledge-base'),
                     source: 'Knowledge Base',
                     totalResults: 1,
                     timestamp: new Date().toISOString(),
@@ -856,7 +2415,7 @@ class LLMAgent {
         
         return {
             query,
-            results: genericResults.slice(0, numResults),
+            results: label(genericResults.slice(0, numResults), 'synthetic'),
             source: 'Minimal Fallback',
             totalResults: genericResults.length,
             timestamp: new Date().toISOString(),
@@ -866,22 +2425,13 @@ class LLMAgent {
 
     async aiPipe(workflow, data) {
         try {
-            const response = await fetch('/api/ai-pipe', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    workflow: workflow,
-                    data: data.substring(0, 1000) // Limit data size
-                }),
-                signal: AbortSignal.timeout(10000)
+            return await this.invokeTool('ai_pipe', {
+                workflow: workflow,
+                data: data.substring(0, 1000) // Limit data size
             });
-
-            if (!response.ok) {
-                throw new Error(`AI Pipe API error: ${response.status}`);
-            }
-
-            return await response.json();
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            
             this.log('warn', 'AI Pipe API unavailable, using mock', { workflow, error: error.message });
             return {
                 workflow: workflow,
@@ -900,25 +2450,18 @@ class LLMAgent {
                 this.showAlert('Code truncated to 5000 characters', 'warning');
             }
             
-            const response = await fetch('/api/execute', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ code: code }),
-                signal: AbortSignal.timeout(10000)
-            });
-
-            if (!response.ok) {
-                throw new Error(`Code execution API error: ${response.status}`);
-            }
-
-            const result = await response.json();
+            const result = this.isBrowserCodeExecution()
+                ? await this.executeInWorker(code)
+                : await this.invokeTool('execute_javascript', { code: code });
             
-            if (result.success) {
-                this.displayCodeResult(result);
+            if (result.success || result.outputs?.length > 0) {
+                this.displayCodeResult({ ...result, code });
             }
             
             return result;
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            
             this.log('error', 'Code execution failed', { error: error.message });
             return {
                 success: false,
@@ -930,17 +2473,101 @@ class LLMAgent {
         }
     }
 
+    // Browser execution mode: the code runs in a dedicated Web Worker (code-worker.js) that is
+    // terminated on timeout or Stop. Each call gets a fresh worker, so nothing persists between calls.
+    executeInWorker(code, timeout = 8000) {
+        const failure = (message) => ({
+            success: false,
+            result: null,
+            logs: [],
+            errors: [message],
+            error: message,
+            outputs: [],
+            timestamp: new Date().toISOString()
+        });
+        
+        return new Promise((resolve, reject) => {
+            const worker = new Worker('code-worker.js');
+            const signal = this.abortController?.signal;
+            let guard;
+            
+            const finish = (callback, value) => {
+                clearTimeout(guard);
+                signal?.removeEventListener('abort', onAbort);
+                worker.terminate();
+                callback(value);
+            };
+            const onAbort = () => finish(reject, new DOMException('Code execution cancelled', 'AbortError'));
+            
+            if (signal?.aborted) return onAbort();
+            signal?.addEventListener('abort', onAbort, { once: true });
+            guard = setTimeout(() => finish(resolve, failure(`Execution timed out after ${timeout / 1000} seconds`)), timeout);
+            
+            worker.onmessage = (event) => finish(resolve, { ...event.data, timestamp: new Date().toISOString() });
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish(resolve, failure(event.message || 'Could not start the code worker'));
+            };
+            
+            // Functions cannot be posted to a worker; the helpers are sent as source and rebuilt there
+            const helpers = Object.fromEntries(Object.entries(window.demoFunctions || {})
+                .filter(([, fn]) => typeof fn === 'function')
+                .map(([name, fn]) => [name, fn.toString()]));
+            worker.postMessage({ code, timeout, helpers });
+        });
+    }
+    
+    // Runs a backend registry tool. `extra` carries request-scoped values such as
+    // search credentials that are not part of the model-visible arguments; the
+    // conversation id lets stateful tools (execute_javascript) keep per-conversation state.
+    async invokeTool(name, args, extra = {}) {
+        const timeout = this.toolMeta.get(name)?.timeout || 15000;
+        const body = { arguments: args, sessionId: this.conversationId, ...extra };
+        return this.postToolRequest(`/api/tools/${encodeURIComponent(name)}`, body, timeout);
+    }
+    
+    // The definition travels with the call; the backend keeps no custom tool state
+    async invokeCustomTool(tool, args) {
+        return this.postToolRequest('/api/custom-tools/call', { tool, arguments: args }, 15000);
+    }
+    
+    async postToolRequest(url, body, timeout) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            // The backend enforces the tool's own timeout; this only covers a stalled connection
+            signal: this.getRequestSignal(timeout + 5000)
+        });
+        
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const issues = data.issues ? ` (${data.issues.join('; ')})` : '';
+            throw new Error(`${data.error || `Tool API error: ${response.status}`}${issues}`);
+        }
+        
+        return data.result;
+    }
+    
     // UI helper functions
+    // Registry tools name their renderer; the fallback covers the built-in list
     formatToolResult(toolName, result) {
-        switch (toolName) {
-            case 'google_search':
+        const renderer = this.toolMeta.get(toolName)?.renderer
+            ?? { google_search: 'search-results', ai_pipe: 'workflow', execute_javascript: 'code-result' }[toolName];
+            
+        switch (renderer) {
+            case 'search-results':
                 return this.formatSearchResults(result);
-            case 'ai_pipe':
+            case 'workflow':
                 return `**Workflow:** ${result.workflow}\n**Result:** ${result.result}`;
-            case 'execute_javascript':
+            case 'mcp':
+                return result.isError ? `**Error:** ${result.content}` : result.content;
+            case 'code-result': {
+                const outputs = result.outputs?.length > 0 ? `\nOutputs: ${result.outputs.map(output => output.type).join(', ')}` : '';
                 return result.success 
-                    ? `**Success!** Result: ${result.result}\nLogs: ${result.logs.join(', ')}`
-                    : `**Error:** ${result.error}`;
+                    ? `**Success!** Result: ${result.result}\nLogs: ${result.logs.join(', ')}${outputs}`
+                    : `**Error:** ${result.error}${outputs}`;
+            }
             default:
                 return JSON.stringify(result, null, 2).substring(0, 1000);
         }
@@ -953,7 +2580,11 @@ class LLMAgent {
         
         const source = result.cached ? ` (cached, ${result.source})` : ` (${result.source})`;
         const resultCount = result.results.length;
+        const placeholders = result.results.filter(item => item.provenance === 'synthetic').length;
         let note = result.note ? `\n*${result.note}*\n` : '';
+        if (placeholders > 0) {
+            note += `\n⚠️ ${placeholders} placeholder link${placeholders !== 1 ? 's' : ''} (generated, not found by a search) ${placeholders !== 1 ? 'were' : 'was'} not sent to the model\n`;
+        }
         
         let formatted = `## Search: "${result.query}"${source}${note}\n**${resultCount} result${resultCount !== 1 ? 's' : ''}**\n\n`;
         
@@ -961,21 +2592,31 @@ class LLMAgent {
             const title = item.title.substring(0, 80) + (item.title.length > 80 ? '...' : '');
             const snippet = item.snippet.substring(0, 150) + (item.snippet.length > 150 ? '...' : '');
             
+            if (item.provenance === 'synthetic') {
+                formatted += `### ${index + 1}. ⚠️ [Placeholder] ${title}\n`;
+                formatted += `🔗 [${item.displayLink}](${item.link}) · generated link, not a search hit\n\n`;
+                return;
+            }
+            
+            const curated = item.provenance === 'knowledge-base' ? ' · 📘 curated note, not a live result' : '';
             formatted += `### ${index + 1}. **${title}**\n`;
             formatted += `${snippet}\n`;
-            formatted += `🔗 [${item.displayLink}](${item.link})\n\n`;
+            formatted += `🔗 [${item.displayLink}](${item.link}) · via ${this.describeSearchBackend(item.backend)}${curated}\n\n`;
         });
         
         return formatted;
     }
 
     displayCodeResult(result) {
+        const outputs = result.outputs || [];
         const codeDiv = document.createElement('div');
         codeDiv.className = 'code-execution mt-3';
         codeDiv.innerHTML = `
             <div class="d-flex justify-content-between align-items-center mb-3">
                 <strong><i class="fas fa-play-circle me-2"></i>Code Execution</strong>
-                <span class="badge bg-success"><i class="fas fa-check me-1"></i>Success</span>
+                ${result.success
+                    ? '<span class="badge bg-success"><i class="fas fa-check me-1"></i>Success</span>'
+                    : '<span class="badge bg-danger"><i class="fas fa-times me-1"></i>Error</span>'}
             </div>
             <div class="bg-dark text-light p-3 rounded mb-2">
                 <small class="text-muted d-block mb-2">Code:</small>
@@ -983,11 +2624,99 @@ class LLMAgent {
             </div>
             ${result.result !== undefined ? `<div class="mt-2"><strong>Result:</strong> <code>${this.escapeHtml(String(result.result))}</code></div>` : ''}
             ${result.logs && result.logs.length > 0 ? `<div class="mt-2"><strong>Console:</strong><br><code>${result.logs.map(log => this.escapeHtml(log)).join('<br>')}</code></div>` : ''}
+            ${outputs.map((output, index) => `<div class="code-output mt-3">${this.renderCodeOutput(output, index)}</div>`).join('')}
         `;
+        
+        // Object URLs are created on click so cleaned-up messages do not hold file contents
+        codeDiv.querySelectorAll('[data-output-index]').forEach(button => {
+            button.addEventListener('click', () => {
+                const file = outputs[Number(button.dataset.outputIndex)];
+                const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = file.name;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            });
+        });
+        
         this.conversationEl.appendChild(codeDiv);
         this.scrollToBottom();
     }
 
+    renderCodeOutput(output, index) {
+        const title = output.title ? `<div class="fw-bold mb-1">${this.escapeHtml(output.title)}</div>` : '';
+        switch (output.type) {
+            case 'table': {
+                const more = output.totalRows > output.rows.length
+                    ? `<small class="text-muted">Showing ${output.rows.length} of ${output.totalRows} rows</small>`
+                    : '';
+                return `${title}
+                    <div class="table-responsive">
+                        <table class="table table-sm table-striped table-light mb-1">
+                            <thead><tr>${output.columns.map(column => `<th>${this.escapeHtml(column)}</th>`).join('')}</tr></thead>
+                            <tbody>${output.rows.map(row => `<tr>${row.map(value => `<td>${this.escapeHtml(String(value ?? ''))}</td>`).join('')}</tr>`).join('')}</tbody>
+                        </table>
+                    </div>
+                    ${more}`;
+            }
+            case 'chart':
+                return `${title}${this.renderChartSvg(output)}`;
+            case 'file':
+                return `<button class="btn btn-light btn-sm" data-output-index="${index}">
+                        <i class="fas fa-download me-1"></i>${this.escapeHtml(output.name)}
+                    </button>
+                    <small class="ms-2">${this.escapeHtml(output.mimeType)}, ${output.size} bytes</small>`;
+            default:
+                return `<code>${this.escapeHtml(output.summary || output.type)}</code>`;
+        }
+    }
+    
+    // Plain SVG bar and line charts; enough for small datasets without a charting library
+    renderChartSvg(chart) {
+        const width = 480;
+        const height = 200;
+        const pad = { top: 10, right: 10, bottom: 30, left: 40 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const colors = ['#667eea', '#e53e3e', '#38a169', '#d69e2e', '#805ad5'];
+        
+        const values = chart.series.flatMap(series => series.values);
+        const min = Math.min(0, ...values);
+        const max = Math.max(0, ...values) || 1;
+        const y = value => pad.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+        const step = plotWidth / Math.max(chart.labels.length, 1);
+        const labelEvery = Math.ceil(chart.labels.length / 12);
+        
+        const marks = chart.series.map((series, seriesIndex) => {
+            const color = colors[seriesIndex % colors.length];
+            if (chart.chartType === 'line') {
+                const points = series.values.map((value, index) => `${pad.left + step * (index + 0.5)},${y(value)}`).join(' ');
+                return `<polyline fill="none" stroke="${color}" stroke-width="2" points="${points}" />`;
+            }
+            const barWidth = (step * 0.8) / chart.series.length;
+            return series.values.map((value, index) => {
+                const x = pad.left + step * (index + 0.1) + barWidth * seriesIndex;
+                const top = Math.min(y(value), y(0));
+                return `<rect x="${x}" y="${top}" width="${barWidth}" height="${Math.abs(y(value) - y(0))}" fill="${color}"><title>${this.escapeHtml(`${chart.labels[index]}: ${value}`)}</title></rect>`;
+            }).join('');
+        }).join('');
+        
+        const labels = chart.labels.map((label, index) => index % labelEvery === 0
+            ? `<text x="${pad.left + step * (index + 0.5)}" y="${height - 10}" font-size="10" text-anchor="middle">${this.escapeHtml(label)}</text>`
+            : '').join('');
+        const legend = chart.series.length > 1
+            ? `<div class="small">${chart.series.map((series, index) => `<span class="me-2" style="color: ${colors[index % colors.length]}">■</span>${this.escapeHtml(series.name)}`).join(' ')}</div>`
+            : '';
+            
+        return `<svg class="code-chart" viewBox="0 0 ${width} ${height}" role="img">
+                <line x1="${pad.left}" y1="${y(0)}" x2="${width - pad.right}" y2="${y(0)}" stroke="#4a5568" />
+                <text x="${pad.left - 5}" y="${pad.top + 10}" font-size="10" text-anchor="end">${this.escapeHtml(String(max))}</text>
+                <text x="${pad.left - 5}" y="${pad.top + plotHeight}" font-size="10" text-anchor="end">${this.escapeHtml(String(min))}</text>
+                ${marks}${labels}
+            </svg>${legend}`;
+    }
+    
     addMessage(type, content, className = '') {
         // Limit message content for memory management
         if (typeof content === 'string' && content.length > this.maxMessageLength) {
@@ -1013,7 +2742,7 @@ class LLMAgent {
                         <strong>${type.charAt(0).toUpperCase() + type.slice(1)}</strong>
                         <small class="opacity-75">${timestamp}</small>
                     </div>
-                    <div>${this.formatMessage(content)}</div>
+                    <div class="message-body">${this.formatMessage(content)}</div>
                 </div>
             </div>
         `;
@@ -1022,6 +2751,8 @@ class LLMAgent {
         this.cleanDOMMessages();
         this.scrollToBottom();
         this.updateMessageCount();
+        
+        return messageDiv;
     }
 
     formatMessage(content) {
@@ -1042,6 +2773,12 @@ class LLMAgent {
         this.isProcessing = isProcessing;
         this.sendBtnEl.disabled = isProcessing;
         this.userInputEl.disabled = isProcessing;
+        this.abortController = isProcessing ? new AbortController() : null;
+        
+        if (this.stopBtnEl) {
+            this.stopBtnEl.classList.toggle('d-none', !isProcessing);
+            this.stopBtnEl.disabled = false;
+        }
         
         if (isProcessing) {
             this.sendTextEl.classList.add('d-none');
@@ -1052,6 +2789,20 @@ class LLMAgent {
         }
     }
 
+    stopAgent() {
+        if (!this.abortController || this.abortController.signal.aborted) return;
+        
+        this.abortController.abort();
+        this.stopBtnEl.disabled = true;
+        this.log('debug', 'Stop requested');
+    }
+    
+    // Requests made during a run end on Stop as well as on their own timeout
+    getRequestSignal(timeoutMs) {
+        const timeout = AbortSignal.timeout(timeoutMs);
+        return this.abortController ? AbortSignal.any([this.abortController.signal, timeout]) : timeout;
+    }
+    
     showAlert(message, type = 'info') {
         const alertDiv = document.createElement('div');
         alertDiv.className = `alert alert-${type} alert-dismissible fade show border-0`;
@@ -1064,7 +2815,7 @@ class LLMAgent {
         };
         
         alertDiv.innerHTML = `
-            ${icons[type] || icons['info']}${message}
+            ${icons[type] || icons['info']}${this.escapeHtml(message)}
             <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
         `;
         
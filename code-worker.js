@@ -0,0 +1,278 @@
+// AgentFlow - Browser execution mode for execute_javascript
+// Runs one piece of model-written code in a dedicated Web Worker, so it never reaches the
+// server and cannot touch the page's DOM or state. The page terminates the worker on timeout
+// or Stop (see LLMAgent.executeInWorker). Removing the network APIs below keeps casual code
+// from calling the backend; it is not a security boundary like the server's runner.
+//
+// Message in:  { code, timeout, helpers: { name: functionSource } }  (window.demoFunctions)
+// Message out: { success, result, logs, errors, error, outputs }  (outputs as from display.*)
+
+const AsyncFunction = (async () => {}).constructor;
+
+const logs = [];
+const errors = [];
+const timers = new Set();
+const nativeSetTimeout = self.setTimeout.bind(self);
+const nativeClearTimeout = self.clearTimeout.bind(self);
+const nativeSetInterval = self.setInterval.bind(self);
+const nativeClearInterval = self.clearInterval.bind(self);
+
+const format = (arg) => {
+    if (typeof arg !== 'object' || arg === null) return String(arg);
+    try {
+        return JSON.stringify(arg, null, 2);
+    } catch (error) {
+        return String(arg);
+    }
+};
+
+self.console = {
+    log: (...args) => {
+        logs.push(args.map(format).join(' ').substring(0, 1000));
+    },
+    error: (...args) => {
+        const errorMsg = args.join(' ').substring(0, 1000);
+        errors.push(errorMsg);
+        logs.push('ERROR: ' + errorMsg);
+    },
+    warn: (...args) => logs.push('WARN: ' + args.join(' ').substring(0, 1000)),
+    info: (...args) => logs.push('INFO: ' + args.join(' ').substring(0, 1000))
+};
+
+// Timers are tracked so the call waits for them, like the server runner does
+self.setTimeout = (callback, delay, ...args) => {
+    const id = nativeSetTimeout(() => {
+        timers.delete(id);
+        try {
+            callback(...args);
+        } finally {
+            checkDone();
+        }
+    }, delay);
+    timers.add(id);
+    return id;
+};
+self.setInterval = (callback, delay, ...args) => {
+    const id = nativeSetInterval(() => {
+        try {
+            callback(...args);
+        } finally {
+            checkDone();
+        }
+    }, delay);
+    timers.add(id);
+    return id;
+};
+self.clearTimeout = (id) => {
+    timers.delete(id);
+    nativeClearTimeout(id);
+    checkDone();
+};
+self.clearInterval = (id) => {
+    timers.delete(id);
+    nativeClearInterval(id);
+    checkDone();
+};
+
+// Typed outputs for the chat, with the same shapes and limits as the server runner
+// (execute-runner.js). Each also carries the short text summary the model receives, which
+// tools/execute-javascript.js adds on the server.
+const outputs = [];
+const MAX_OUTPUTS = 10;
+const MAX_ROWS = 100;
+const MAX_COLUMNS = 20;
+const MAX_POINTS = 200;
+const MAX_FILE_BYTES = 256 * 1024;
+const SUMMARY_ROWS = 5;
+const SUMMARY_POINTS = 20;
+let fileBytes = 0;
+
+const cell = (value) => {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number' || typeof value === 'boolean') return value;
+    return (typeof value === 'object' ? format(value).replace(/\s+/g, ' ') : String(value)).substring(0, 200);
+};
+const toTable = (rows, columns) => {
+    if (!Array.isArray(rows)) throw new TypeError('Table rows must be an array');
+    const records = rows.map(row => row !== null && typeof row === 'object' && !Array.isArray(row) ? row : { value: row });
+    const names = columns || [];
+    if (!columns) {
+        records.forEach(record => Object.keys(record).forEach(key => {
+            if (!names.includes(key) && names.length < MAX_COLUMNS) names.push(key);
+        }));
+    }
+    return { columns: names.map(String), rows: records.map(record => names.map(name => cell(record[name]))) };
+};
+const csvCell = (value) => {
+    const text = value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+};
+
+function summarize(output) {
+    const title = output.title ? ` "${output.title}"` : '';
+    switch (output.type) {
+        case 'table': {
+            const rows = output.rows.slice(0, SUMMARY_ROWS).map(row => row.map(value => value ?? '').join(', '));
+            const more = output.totalRows > SUMMARY_ROWS ? `\n(${output.totalRows - SUMMARY_ROWS} more rows)` : '';
+            return `Table${title} shown to the user, ${output.totalRows} rows x ${output.columns.length} columns:\n` +
+                `${output.columns.join(', ')}\n${rows.join('\n')}${more}`;
+        }
+        case 'chart':
+            return `${output.chartType === 'line' ? 'Line' : 'Bar'} chart${title} shown to the user: ` + output.series.map(series =>
+                `${series.name}: ` + series.values.slice(0, SUMMARY_POINTS).map((value, index) => `${output.labels[index]}=${value}`).join(', ') +
+                (series.values.length > SUMMARY_POINTS ? ', ...' : '')
+            ).join('; ');
+        default:
+            return `File ${output.name} (${output.mimeType}, ${output.size} bytes) offered to the user for download. ` +
+                `Starts with: ${output.content.substring(0, 200)}`;
+    }
+}
+
+const emit = (output) => {
+    if (outputs.length >= MAX_OUTPUTS) throw new RangeError('Too many outputs (max ' + MAX_OUTPUTS + ' per call)');
+    outputs.push({ ...output, summary: summarize(output) });
+};
+
+self.display = Object.freeze({
+    table(rows, options = {}) {
+        const table = toTable(rows, options.columns);
+        emit({ type: 'table', title: options.title ? String(options.title) : null, columns: table.columns, rows: table.rows.slice(0, MAX_ROWS), totalRows: table.rows.length });
+    },
+    // { type: 'bar' | 'line', title, labels, values } or { ..., series: [{ name, values }] }
+    chart(spec) {
+        if (!spec || typeof spec !== 'object') throw new TypeError('Chart spec must be an object');
+        const type = spec.type === 'line' ? 'line' : 'bar';
+        const series = (Array.isArray(spec.series) ? spec.series : [{ name: spec.title || 'Series', values: spec.values }])
+            .slice(0, 5)
+            .map((entry, index) => {
+                if (!entry || !Array.isArray(entry.values)) throw new TypeError('Chart values must be an array of numbers');
+                return { name: String(entry.name || 'Series ' + (index + 1)), values: entry.values.slice(0, MAX_POINTS).map(value => Number(value) || 0) };
+            });
+        const points = Math.max(...series.map(entry => entry.values.length));
+        const labels = Array.from({ length: points }, (value, index) => String(Array.isArray(spec.labels) && spec.labels[index] !== undefined ? spec.labels[index] : index + 1).substring(0, 40));
+        emit({ type: 'chart', chartType: type, title: spec.title ? String(spec.title) : null, labels, series });
+    },
+    // Arrays of objects become CSV; anything else is saved as text
+    file(name, content, options = {}) {
+        const fileName = String(name || 'output.txt').replace(/[^\w.-]+/g, '_').substring(0, 100);
+        let text;
+        let mimeType = options.mimeType ? String(options.mimeType) : null;
+        if (Array.isArray(content)) {
+            const table = toTable(content);
+            text = [table.columns, ...table.rows].map(row => row.map(csvCell).join(',')).join('\n');
+            mimeType = mimeType || 'text/csv';
+        } else {
+            text = typeof content === 'string' ? content : format(content);
+        }
+        fileBytes += text.length;
+        if (fileBytes > MAX_FILE_BYTES) throw new RangeError('Files are limited to ' + MAX_FILE_BYTES + ' bytes per call');
+        emit({ type: 'file', name: fileName, mimeType: mimeType || (fileName.endsWith('.csv') ? 'text/csv' : 'text/plain'), content: text, size: text.length });
+    }
+});
+
+['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches'].forEach(name => {
+    try {
+        self[name] = undefined;
+    } catch (error) {
+        // Read-only in this browser
+    }
+});
+
+let outcome = null;
+let finished = false;
+
+self.addEventListener('unhandledrejection', (event) => {
+    const message = 'Unhandled promise rejection: ' + String(event.reason?.message ?? event.reason);
+    errors.push(message);
+    logs.push('ERROR: ' + message.substring(0, 1000));
+    event.preventDefault();
+});
+
+self.addEventListener('error', (event) => {
+    const message = 'Uncaught error in timer callback: ' + event.message;
+    errors.push(message);
+    logs.push('ERROR: ' + message.substring(0, 1000));
+    event.preventDefault();
+});
+
+function send(payload) {
+    if (finished) return;
+    finished = true;
+    timers.forEach(id => {
+        nativeClearTimeout(id);
+        nativeClearInterval(id);
+    });
+    self.postMessage(payload);
+}
+
+function fail(error) {
+    const message = String(error?.message ?? error);
+    errors.push(message);
+    send({ success: false, result: null, logs: logs.slice(0, 50), errors, error: message.substring(0, 1000), outputs });
+}
+
+function succeed(value) {
+    if (timers.size > 0) {
+        logs.push('WARN: ' + timers.size + ' pending timer(s) cancelled when the call finished');
+    }
+    try {
+        // Only JSON-compatible results reach the page, matching the server response
+        const result = value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+        send({ success: true, result, logs: logs.slice(0, 50), errors, error: null, outputs });
+    } catch (error) {
+        fail(`Result could not be serialized: ${error.message}`);
+    }
+}
+
+// The call is done once the result has settled and no timers are left
+function checkDone() {
+    if (outcome && outcome.settled && timers.size === 0) {
+        succeed(outcome.value);
+    }
+}
+
+// Indirect eval runs at global scope and yields the last expression's value. Code with
+// top-level await does not parse that way; it runs as an async function body instead.
+// Both forms are compiled first so code never runs twice.
+function evaluate(code) {
+    try {
+        new Function(code);
+    } catch (error) {
+        let body;
+        try {
+            body = new AsyncFunction(code);
+        } catch (asyncError) {
+            throw error;
+        }
+        return body();
+    }
+    return (0, eval)(code);
+}
+
+self.onmessage = async (event) => {
+    const { code, timeout, helpers = {} } = event.data;
+    
+    // Page helpers are rebuilt from their source; they refer to window.demoFunctions
+    self.window = self;
+    self.demoFunctions = {};
+    Object.entries(helpers).forEach(([name, source]) => {
+        try {
+            self.demoFunctions[name] = (0, eval)(`(${source})`);
+        } catch (error) {
+            // Not a self-contained function expression; skipped
+        }
+    });
+    
+    // Settled results with timers still running are returned just before the page's guard fires
+    nativeSetTimeout(() => outcome?.settled && succeed(outcome.value), Math.max(timeout - 250, 0));
+    
+    try {
+        const value = evaluate(code);
+        outcome = { settled: false };
+        const settled = await value;
+        outcome = { settled: true, value: settled };
+        checkDone();
+    } catch (error) {
+        fail(error);
+    }
+};
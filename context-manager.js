@@ -0,0 +1,191 @@
+// AgentFlow - Token-aware context window manager
+// Shared by server.js (require) and the browser (window.ContextManager) so every
+// place that trims the conversation follows the same rules:
+//   - system messages are pinned and always kept
+//   - an assistant message with tool_calls and its tool results are kept or dropped together
+//   - the newest turns are kept first until the token budget is spent
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ContextManager = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_BUDGET = 16000;
+    const DEFAULT_CONTEXT_WINDOW = 8192;
+    const DEFAULT_MAX_MESSAGE_TOKENS = 4000;
+    const RESERVED_OUTPUT_TOKENS = 2000;
+    const MESSAGE_OVERHEAD_TOKENS = 4;
+    const TRUNCATION_MARKER = '\n[... truncated to fit the context window]';
+    // Share of the model's context window left unused, since token counts are estimates
+    const ESTIMATE_MARGIN = 0.1;
+    
+    // Token counts are estimates, not tokenizer output: roughly 4 characters per token for
+    // English text with GPT and Gemini tokenizers and closer to 3.5 for Claude, while
+    // non-ASCII characters (CJK in particular) cost about a token each. Budgets derived from
+    // the context window keep ESTIMATE_MARGIN in reserve for text the estimate undercounts.
+    function charsPerToken(model) {
+        return /claude/i.test(model || '') ? 3.5 : 4;
+    }
+    
+    function estimateTokens(text, model) {
+        if (!text) return 0;
+        const value = String(text);
+        const nonAscii = (value.match(/[^\x00-\x7f]/g) || []).length;
+        return Math.ceil((value.length - nonAscii) / charsPerToken(model) + nonAscii);
+    }
+    
+    function countMessageTokens(message, model) {
+        let tokens = MESSAGE_OVERHEAD_TOKENS + estimateTokens(message.content, model);
+        (message.tool_calls || []).forEach(tc => {
+            tokens += estimateTokens(tc.function?.name, model) + estimateTokens(tc.function?.arguments, model);
+        });
+        return tokens;
+    }
+    
+    function countTokens(messages, model) {
+        return messages.reduce((total, message) => total + countMessageTokens(message, model), 0);
+    }
+    
+    function truncateMessage(message, maxTokens, model) {
+        if (typeof message.content !== 'string' || estimateTokens(message.content, model) <= maxTokens) {
+            return message;
+        }
+        // Characters per token of this text, so dense (non-ASCII) content is cut shorter
+        const ratio = message.content.length / estimateTokens(message.content, model);
+        const maxChars = Math.max(0, Math.floor(maxTokens * ratio) - TRUNCATION_MARKER.length);
+        return { ...message, content: message.content.substring(0, maxChars) + TRUNCATION_MARKER };
+    }
+    
+    // Split history into units that must stay together. Tool results whose
+    // assistant message is missing are dropped, since providers reject them.
+    function groupMessages(messages) {
+        const units = [];
+        let openToolUnit = null;
+        
+        for (const message of messages) {
+            if (message.role === 'tool') {
+                if (openToolUnit && openToolUnit.pendingIds.has(message.tool_call_id)) {
+                    openToolUnit.messages.push(message);
+                    openToolUnit.pendingIds.delete(message.tool_call_id);
+                }
+                continue;
+            }
+            
+            openToolUnit = null;
+            const unit = { role: message.role, messages: [message], pendingIds: new Set() };
+            
+            if (message.role === 'assistant' && message.tool_calls?.length > 0) {
+                message.tool_calls.forEach(tc => unit.pendingIds.add(tc.id));
+                openToolUnit = unit;
+            }
+            
+            units.push(unit);
+        }
+        
+        // Tool calls that never got a result would also be rejected; keep only answered ones
+        return units.filter(unit => {
+            if (unit.pendingIds.size === 0) return true;
+            
+            const [assistant, ...results] = unit.messages;
+            const answered = assistant.tool_calls.filter(tc => !unit.pendingIds.has(tc.id));
+            const { tool_calls, ...rest } = assistant;
+            unit.messages = [answered.length > 0 ? { ...rest, tool_calls: answered } : rest, ...results];
+            unit.pendingIds.clear();
+            
+            return answered.length > 0 || Boolean(rest.content);
+        });
+    }
+    
+    /**
+     * Fit a conversation into a token budget.
+     * options: model, budget (tokens), contextWindow (model limit),
+     *          maxMessageTokens (cap for any single message), maxMessages (optional count cap)
+     * Returns { messages, stats: { tokens, budget, dropped } }.
+     */
+    function fitToBudget(messages, options = {}) {
+        const model = options.model || '';
+        const contextWindow = options.contextWindow || DEFAULT_CONTEXT_WINDOW;
+        const budget = Math.min(
+            options.budget || DEFAULT_BUDGET,
+            Math.max(Math.floor((contextWindow - RESERVED_OUTPUT_TOKENS) * (1 - ESTIMATE_MARGIN)), 1000)
+        );
+        const maxMessageTokens = Math.min(options.maxMessageTokens || DEFAULT_MAX_MESSAGE_TOKENS, budget);
+        const maxMessages = options.maxMessages || Infinity;
+        
+        const input = (messages || []).map(message => truncateMessage(message, maxMessageTokens, model));
+        const pinned = input.filter(message => message.role === 'system');
+        const units = groupMessages(input.filter(message => message.role !== 'system'));
+        
+        let usedTokens = countTokens(pinned, model);
+        let usedMessages = pinned.length;
+        const kept = [];
+        
+        // Walk newest to oldest; the latest unit is always kept so the model sees the question
+        for (let i = units.length - 1; i >= 0; i--) {
+            const unitTokens = countTokens(units[i].messages, model);
+            const unitMessages = units[i].messages.length;
+            const fits = usedTokens + unitTokens <= budget && usedMessages + unitMessages <= maxMessages;
+            
+            if (!fits && kept.length > 0) break;
+            
+            kept.unshift(units[i]);
+            usedTokens += unitTokens;
+            usedMessages += unitMessages;
+        }
+        
+        // History should open on a user turn; drop leading assistant units when possible
+        while (kept.length > 1 && kept[0].role !== 'user') {
+            const removed = kept.shift();
+            usedTokens -= countTokens(removed.messages, model);
+        }
+        
+        const result = [...pinned, ...kept.flatMap(unit => unit.messages)];
+        
+        return {
+            messages: result,
+            stats: {
+                tokens: usedTokens,
+                budget,
+                dropped: (messages || []).length - result.length
+            }
+        };
+    }
+    
+    /**
+     * Split history for rolling summarization: the newest units worth up to
+     * keepTokens stay verbatim (starting on a user turn), the rest is `older`.
+     */
+    function splitForSummary(messages, options = {}) {
+        const model = options.model || '';
+        const units = groupMessages((messages || []).filter(message => message.role !== 'system'));
+        
+        let index = units.length;
+        let keptTokens = 0;
+        while (index > 0) {
+            const unitTokens = countTokens(units[index - 1].messages, model);
+            if (keptTokens + unitTokens > options.keepTokens && index < units.length) break;
+            keptTokens += unitTokens;
+            index--;
+        }
+        
+        while (index < units.length - 1 && units[index].role !== 'user') {
+            index++;
+        }
+        
+        return {
+            older: units.slice(0, index).flatMap(unit => unit.messages),
+            recent: units.slice(index).flatMap(unit => unit.messages)
+        };
+    }
+    
+    return {
+        DEFAULT_BUDGET,
+        estimateTokens,
+        countMessageTokens,
+        countTokens,
+        groupMessages,
+        fitToBudget,
+        splitForSummary
+    };
+});
@@ -0,0 +1,401 @@
+const vm = require('vm');
+
+// Child process for execute_javascript sessions (managed by repl-sessions.js).
+// The process runs under Node's permission model (no file access beyond this file, no child
+// processes or workers) with a capped heap and an empty environment, and the parent
+// SIGKILLs it on timeout, cancel or idle expiry. Code runs in one vm context per process, so
+// globals persist between calls: no process or require, and console and demoFunctions are
+// defined in the context itself so no host object is reachable from it.
+//
+// Async code: a call finishes when its result has settled (returned promises are awaited)
+// and no timers are left, or when the 8 s budget runs out. Timers are implemented inside the
+// context; the host only learns when the next one is due and asks the context to fire it, so
+// callbacks and promise jobs run under the same timeout as the code itself.
+//
+// Protocol: one JSON message per line on stdin, one reply per line on stdout.
+//   { id, type: 'execute', code }  ->  { id, payload: { success, result, logs, errors, error, outputs } }
+//   { id, type: 'variables' }      ->  { id, variables: [{ name, type, preview }] }
+
+const TIMEOUT = 8000;
+const HELPER_TIMEOUT = 1000;
+// Code with top-level await does not compile as a script; it runs as an async function body
+const TOP_LEVEL_AWAIT = /await is only valid in async functions|Unexpected reserved word/;
+// Candidate names for the variable listing; top-level let/const/class are not globalThis properties
+const DECLARATION = /\b(?:var|let|const|class|function\*?)\s+([A-Za-z_$][\w$]*)/g;
+
+// Evaluated once inside the context. The helpers return JSON strings, so only primitives
+// ever cross back to the host.
+const SANDBOX_SOURCE = `(() => {
+    const logs = [];
+    const errors = [];
+    const format = (arg) => {
+        if (typeof arg !== 'object' || arg === null) return String(arg);
+        try {
+            return JSON.stringify(arg, null, 2);
+        } catch (error) {
+            return String(arg);
+        }
+    };
+    
+    globalThis.console = {
+        log: (...args) => {
+            logs.push(args.map(format).join(' ').substring(0, 1000));
+        },
+        error: (...args) => {
+            const errorMsg = args.join(' ').substring(0, 1000);
+            errors.push(errorMsg);
+            logs.push('ERROR: ' + errorMsg);
+        },
+        warn: (...args) => logs.push('WARN: ' + args.join(' ').substring(0, 1000)),
+        info: (...args) => logs.push('INFO: ' + args.join(' ').substring(0, 1000))
+    };
+    
+    // Timers live in the context; the host polls __agentflow.status() and calls fire()
+    const now = Date.now;
+    const timers = new Map();
+    let nextTimerId = 0;
+    const addTimer = (callback, delay, args, repeat) => {
+        if (typeof callback !== 'function') throw new TypeError('Callback must be a function');
+        const interval = Math.max(Number(delay) || 0, 1);
+        const id = ++nextTimerId;
+        timers.set(id, { callback, args, interval, repeat, due: now() + interval });
+        return id;
+    };
+    globalThis.setTimeout = (callback, delay, ...args) => addTimer(callback, delay, args, false);
+    globalThis.setInterval = (callback, delay, ...args) => addTimer(callback, delay, args, true);
+    globalThis.clearTimeout = (id) => { timers.delete(id); };
+    globalThis.clearInterval = globalThis.clearTimeout;
+    globalThis.queueMicrotask = (callback) => { Promise.resolve().then(callback); };
+    
+    // Typed outputs for the chat: display.table(rows), display.chart(spec), display.file(name, content).
+    // Values are copied into plain data when emitted, so later mutation does not change them.
+    const outputs = [];
+    const MAX_OUTPUTS = 10;
+    const MAX_ROWS = 100;
+    const MAX_COLUMNS = 20;
+    const MAX_POINTS = 200;
+    const MAX_FILE_BYTES = 256 * 1024;
+    let fileBytes = 0;
+    
+    const cell = (value) => {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'number' || typeof value === 'boolean') return value;
+        return (typeof value === 'object' ? format(value).replace(/\\s+/g, ' ') : String(value)).substring(0, 200);
+    };
+    const toTable = (rows, columns) => {
+        if (!Array.isArray(rows)) throw new TypeError('Table rows must be an array');
+        const records = rows.map(row => row !== null && typeof row === 'object' && !Array.isArray(row) ? row : { value: row });
+        const names = columns || [];
+        if (!columns) {
+            records.forEach(record => Object.keys(record).forEach(key => {
+                if (!names.includes(key) && names.length < MAX_COLUMNS) names.push(key);
+            }));
+        }
+        return { columns: names.map(String), rows: records.map(record => names.map(name => cell(record[name]))) };
+    };
+    const csvCell = (value) => {
+        const text = value === null ? '' : String(value);
+        return /[",\\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    const emit = (output) => {
+        if (outputs.length >= MAX_OUTPUTS) throw new RangeError('Too many outputs (max ' + MAX_OUTPUTS + ' per call)');
+        outputs.push(output);
+    };
+    
+    const display = Object.freeze({
+        table(rows, options = {}) {
+            const table = toTable(rows, options.columns);
+            emit({ type: 'table', title: options.title ? String(options.title) : null, columns: table.columns, rows: table.rows.slice(0, MAX_ROWS), totalRows: table.rows.length });
+        },
+        // { type: 'bar' | 'line', title, labels, values } or { ..., series: [{ name, values }] }
+        chart(spec) {
+            if (!spec || typeof spec !== 'object') throw new TypeError('Chart spec must be an object');
+            const type = spec.type === 'line' ? 'line' : 'bar';
+            const series = (Array.isArray(spec.series) ? spec.series : [{ name: spec.title || 'Series', values: spec.values }])
+                .slice(0, 5)
+                .map((entry, index) => {
+                    if (!entry || !Array.isArray(entry.values)) throw new TypeError('Chart values must be an array of numbers');
+                    return { name: String(entry.name || 'Series ' + (index + 1)), values: entry.values.slice(0, MAX_POINTS).map(value => Number(value) || 0) };
+                });
+            const points = Math.max(...series.map(entry => entry.values.length));
+            const labels = Array.from({ length: points }, (value, index) => String(Array.isArray(spec.labels) && spec.labels[index] !== undefined ? spec.labels[index] : index + 1).substring(0, 40));
+            emit({ type: 'chart', chartType: type, title: spec.title ? String(spec.title) : null, labels, series });
+        },
+        // Arrays of objects become CSV; anything else is saved as text
+        file(name, content, options = {}) {
+            const fileName = String(name || 'output.txt').replace(/[^\\w.-]+/g, '_').substring(0, 100);
+            let text;
+            let mimeType = options.mimeType ? String(options.mimeType) : null;
+            if (Array.isArray(content)) {
+                const table = toTable(content);
+                text = [table.columns, ...table.rows].map(row => row.map(csvCell).join(',')).join('\\n');
+                mimeType = mimeType || 'text/csv';
+            } else {
+                text = typeof content === 'string' ? content : format(content);
+            }
+            fileBytes += text.length;
+            if (fileBytes > MAX_FILE_BYTES) throw new RangeError('Files are limited to ' + MAX_FILE_BYTES + ' bytes per call');
+            emit({ type: 'file', name: fileName, mimeType: mimeType || (fileName.endsWith('.csv') ? 'text/csv' : 'text/plain'), content: text, size: text.length });
+        }
+    });
+    globalThis.display = display;
+    
+    const fibonacci = (n) => n <= 1 ? n : fibonacci(n - 1) + fibonacci(n - 2);
+    globalThis.demoFunctions = {
+        fibonacci: (n) => n > 40 ? 'Number too large (max 40)' : fibonacci(n),
+        isPrime: (num) => {
+            if (num > 1000000) return 'Number too large (max 1,000,000)';
+            if (num < 2) return false;
+            for (let i = 2; i <= Math.sqrt(num); i++) {
+                if (num % i === 0) return false;
+            }
+            return true;
+        },
+        generateRandomData: (count) => {
+            const limit = Math.min(count || 10, 1000);
+            return Array.from({ length: limit }, () => Math.floor(Math.random() * 100));
+        },
+        createChart: (data, title) => {
+            if (!Array.isArray(data)) return 'Data must be an array';
+            display.chart({ type: 'bar', title: title || 'Chart', values: data });
+            return 'Chart data: ' + data.slice(0, 20).join(', ') + (data.length > 20 ? '...' : '');
+        }
+    };
+    
+    const builtIns = new Set(Object.getOwnPropertyNames(globalThis));
+    
+    const describe = (value) => {
+        const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+        let preview;
+        if (type === 'function') {
+            preview = 'function ' + (value.name || '(anonymous)');
+        } else if (type === 'array') {
+            preview = 'Array(' + value.length + ') ' + format(value.slice(0, 10));
+        } else {
+            preview = format(value);
+        }
+        return { type, preview: String(preview).replace(/\\s+/g, ' ').substring(0, 120) };
+    };
+    
+    const messageOf = (error) => String(error && error.message !== undefined ? error.message : error);
+    let outcome = { state: 'fulfilled', value: undefined };
+    
+    const fail = (error) => {
+        timers.clear();
+        const message = messageOf(error);
+        errors.push(message);
+        return JSON.stringify({ success: false, result: null, logs: logs.slice(0, 50), errors, error: message.substring(0, 1000), outputs });
+    };
+    
+    Object.defineProperty(globalThis, '__agentflow', {
+        value: Object.freeze({
+            begin() {
+                logs.length = 0;
+                errors.length = 0;
+                outputs.length = 0;
+                fileBytes = 0;
+                outcome = { state: 'fulfilled', value: undefined };
+            },
+            // Thenables are awaited; their continuations run as promise jobs after this call
+            settle(result) {
+                if (result === null || (typeof result !== 'object' && typeof result !== 'function') || typeof result.then !== 'function') {
+                    outcome = { state: 'fulfilled', value: result };
+                    return;
+                }
+                const current = outcome = { state: 'pending' };
+                Promise.resolve(result).then(
+                    value => { current.state = 'fulfilled'; current.value = value; },
+                    error => { current.state = 'rejected'; current.error = error; }
+                );
+            },
+            status() {
+                let nextTimer = null;
+                timers.forEach(timer => {
+                    if (nextTimer === null || timer.due < nextTimer) nextTimer = timer.due;
+                });
+                return JSON.stringify({ settled: outcome.state !== 'pending', nextTimer });
+            },
+            // Runs every timer that is due; a throwing callback is recorded and the rest still run
+            fire() {
+                const due = Array.from(timers.entries())
+                    .filter(([, timer]) => timer.due <= now())
+                    .sort((a, b) => a[1].due - b[1].due);
+                due.forEach(([id, timer]) => {
+                    if (!timers.has(id)) return;
+                    if (timer.repeat) {
+                        timer.due = now() + timer.interval;
+                    } else {
+                        timers.delete(id);
+                    }
+                    try {
+                        timer.callback(...timer.args);
+                    } catch (error) {
+                        const message = 'Uncaught error in timer callback: ' + messageOf(error);
+                        errors.push(message);
+                        logs.push('ERROR: ' + message.substring(0, 1000));
+                    }
+                });
+            },
+            finish() {
+                if (outcome.state === 'pending') {
+                    return fail(timers.size > 0
+                        ? 'Execution timed out: the returned promise did not settle within 8 seconds'
+                        : 'The returned promise never settled (nothing left to wait for)');
+                }
+                if (outcome.state === 'rejected') {
+                    return fail(outcome.error);
+                }
+                if (timers.size > 0) {
+                    logs.push('WARN: ' + timers.size + ' pending timer(s) cancelled when the call finished');
+                    timers.clear();
+                }
+                return JSON.stringify({ success: true, result: outcome.value, logs: logs.slice(0, 50), errors, error: null, outputs });
+            },
+            fail,
+            unhandled(reason) {
+                const message = 'Unhandled promise rejection: ' + messageOf(reason);
+                errors.push(message);
+                logs.push('ERROR: ' + message.substring(0, 1000));
+            },
+            variables(declaredJson) {
+                const declared = JSON.parse(declaredJson);
+                const names = new Set([...Object.getOwnPropertyNames(globalThis).filter(name => !builtIns.has(name) && !name.startsWith('__agentflow')), ...declared]);
+                const variables = [];
+                names.forEach(name => {
+                    try {
+                        // Indirect eval reads global let/const bindings as well as properties
+                        variables.push({ name, ...describe((0, eval)(name)) });
+                    } catch (error) {
+                        // Declared in an inner scope only, or in a call that failed
+                    }
+                });
+                return JSON.stringify(variables.sort((a, b) => a.name.localeCompare(b.name)));
+            }
+        })
+    });
+})();`;
+
+// afterEvaluate runs the context's promise jobs inside the timeout too. The null-prototype
+// global keeps `this.constructor` from leading back to the host's Function.
+const context = vm.createContext(Object.create(null), { microtaskMode: 'afterEvaluate' });
+vm.runInContext(SANDBOX_SOURCE, context);
+const declared = new Set();
+
+// Values are handed to the context helpers through a temporary global; only primitives
+// and values that came from the context are passed
+function callHelper(expression, value, timeout = HELPER_TIMEOUT) {
+    context.__agentflowValue = value;
+    try {
+        return vm.runInContext(expression, context, { timeout });
+    } finally {
+        delete context.__agentflowValue;
+    }
+}
+
+// Run as a script (not eval) so top-level let/const/class persist for later calls. Code that
+// uses top-level await becomes the body of an async function instead: its declarations are
+// local to the call and the result is whatever it returns.
+function compile(code) {
+    try {
+        return new vm.Script(code, { filename: 'execute_javascript.js' });
+    } catch (error) {
+        if (!TOP_LEVEL_AWAIT.test(error.message) || !/\bawait\b/.test(code)) throw error;
+        try {
+            return new vm.Script(`(async () => {\n${code}\n})()`, { filename: 'execute_javascript.js', lineOffset: -1 });
+        } catch (wrappedError) {
+            throw error;
+        }
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fire context timers as they come due until the result has settled and none are left,
+// or the deadline passes
+async function runTimers(deadline) {
+    for (;;) {
+        const { settled, nextTimer } = JSON.parse(vm.runInContext('__agentflow.status()', context, { timeout: HELPER_TIMEOUT }));
+        if (nextTimer === null || Date.now() >= deadline) return;
+        
+        // Not worth waiting for a timer that is due after the deadline
+        const due = Number.isFinite(nextTimer) ? nextTimer : deadline;
+        if (due > deadline) {
+            if (settled) return;
+            await sleep(deadline - Date.now());
+            return;
+        }
+        
+        await sleep(Math.max(due - Date.now(), 0));
+        vm.runInContext('__agentflow.fire()', context, { timeout: Math.max(deadline - Date.now(), 1) });
+    }
+}
+
+async function execute(code) {
+    const deadline = Date.now() + TIMEOUT;
+    vm.runInContext('__agentflow.begin()', context);
+    
+    for (const match of code.matchAll(DECLARATION)) {
+        declared.add(match[1]);
+    }
+    
+    try {
+        const result = compile(code).runInContext(context, { timeout: TIMEOUT });
+        callHelper('__agentflow.settle(__agentflowValue)', result, Math.max(deadline - Date.now(), 1));
+        await runTimers(deadline);
+        // Let Node report rejections nobody handled while this call was running
+        await new Promise(resolve => setImmediate(resolve));
+    } catch (error) {
+        // Errors from our own realm (vm timeout, syntax errors) stay on the host side
+        if (error instanceof Error) {
+            return JSON.parse(callHelper('__agentflow.fail(__agentflowValue)', error.message));
+        }
+        return JSON.parse(callHelper('__agentflow.fail(__agentflowValue)', error));
+    }
+    return JSON.parse(vm.runInContext('__agentflow.finish()', context, { timeout: HELPER_TIMEOUT }));
+}
+
+async function handle(message) {
+    switch (message.type) {
+        case 'execute':
+            try {
+                return { id: message.id, payload: await execute(message.code) };
+            } catch (error) {
+                // The result could not be serialized within the helper timeout
+                return { id: message.id, payload: { success: false, result: null, logs: [], errors: [error.message], error: error.message } };
+            }
+        case 'variables':
+            try {
+                return { id: message.id, variables: JSON.parse(callHelper('__agentflow.variables(__agentflowValue)', JSON.stringify([...declared]))) };
+            } catch (error) {
+                return { id: message.id, variables: [], error: error.message };
+            }
+        default:
+            return { id: message.id, error: `Unknown message type: ${message.type}` };
+    }
+}
+
+// Node would exit on a rejection nobody handles; report it with the call instead
+process.on('unhandledRejection', reason => {
+    try {
+        callHelper('__agentflow.unhandled(__agentflowValue)', reason);
+    } catch (error) {
+        // The reason could not be described within the helper timeout
+    }
+});
+
+// Messages are handled one at a time, in order, even while an async call is waiting on timers
+let buffer = '';
+let queue = Promise.resolve();
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter(line => line.trim()).forEach(line => {
+        const message = JSON.parse(line);
+        queue = queue
+            .then(() => handle(message))
+            .then(reply => process.stdout.write(JSON.stringify(reply) + '\n'));
+    });
+});
+process.stdin.on('end', () => queue.then(() => process.exit(0)));
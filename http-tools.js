@@ -0,0 +1,179 @@
+const axios = require('axios');
+const logger = require('./logger');
+const SchemaValidator = require('./schema-validator');
+const { ToolError } = require('./tools');
+
+// User-defined HTTP tools
+// Custom tools are configured in the browser and sent with every call, so the backend keeps
+// no state for them. It only proxies requests to hosts on the allowlist:
+//   HTTP_TOOL_ALLOWED_HOSTS   comma-separated hostnames; "*.example.com" also matches subdomains.
+//                             Empty (the default) disables custom tools.
+//   HTTP_TOOL_MAX_RESPONSE_BYTES   response size limit (default 256 KB)
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const DEFAULT_MAX_RESPONSE_BYTES = 256 * 1024;
+const TIMEOUT = 15000;
+
+function getAllowedHosts() {
+    return (process.env.HTTP_TOOL_ALLOWED_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function getMaxResponseBytes() {
+    const limit = parseInt(process.env.HTTP_TOOL_MAX_RESPONSE_BYTES, 10);
+    return Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_MAX_RESPONSE_BYTES;
+}
+
+function isHostAllowed(hostname) {
+    const host = hostname.toLowerCase();
+    return getAllowedHosts().some(allowed => allowed.startsWith('*.')
+        ? host.endsWith(allowed.substring(1))
+        : host === allowed);
+}
+
+// Limits shown in the config panel
+function getConfig() {
+    return {
+        allowedHosts: getAllowedHosts(),
+        maxResponseBytes: getMaxResponseBytes()
+    };
+}
+
+function invalid(message) {
+    return new ToolError(message, { code: 'invalid_tool', status: 400 });
+}
+
+function validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw invalid('Tool definition is required');
+    }
+    if (!NAME_PATTERN.test(definition.name || '')) {
+        throw invalid('Tool name must be 1-64 letters, digits, underscores or dashes');
+    }
+    if (!METHODS.includes(definition.method)) {
+        throw invalid(`Method must be one of: ${METHODS.join(', ')}`);
+    }
+    if (typeof definition.url !== 'string' || definition.url.trim() === '') {
+        throw invalid('URL template is required');
+    }
+    if (definition.headers && (typeof definition.headers !== 'object' || Array.isArray(definition.headers))) {
+        throw invalid('Headers must be an object');
+    }
+}
+
+// "{name}" placeholders are filled from the arguments. Arguments not used by the
+// template go into the query string (GET, DELETE) or the JSON body.
+function buildRequest(definition, args) {
+    const used = new Set();
+    const url = definition.url.trim().replace(/\{(\w+)\}/g, (match, key) => {
+        if (args[key] === undefined || args[key] === null) {
+            throw new ToolError(`Missing value for {${key}} in the URL`, { code: 'invalid_arguments', status: 400 });
+        }
+        used.add(key);
+        return encodeURIComponent(String(args[key]));
+    });
+    
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw invalid(`Invalid URL: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw invalid('Only http and https URLs are supported');
+    }
+    if (!isHostAllowed(parsed.hostname)) {
+        throw new ToolError(`Host ${parsed.hostname} is not in HTTP_TOOL_ALLOWED_HOSTS`, { code: 'host_not_allowed', status: 403 });
+    }
+    
+    const rest = Object.fromEntries(Object.entries(args).filter(([key]) => !used.has(key)));
+    const request = {
+        method: definition.method,
+        url: parsed.toString(),
+        headers: { Accept: 'application/json', ...(definition.headers || {}) }
+    };
+    
+    if (BODY_METHODS.includes(definition.method)) {
+        request.data = rest;
+    } else {
+        Object.entries(rest).forEach(([key, value]) => {
+            parsed.searchParams.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+        });
+        request.url = parsed.toString();
+    }
+    
+    return request;
+}
+
+/**
+ * Run a custom tool. Returns { status, ok, data } where data is the parsed JSON body
+ * (or the raw text when the response is not JSON); non-2xx responses are returned,
+ * not thrown, so the model can see what the endpoint said.
+ */
+async function callHttpTool({ definition, args = {}, signal }) {
+    validateDefinition(definition);
+    
+    const checked = SchemaValidator.validate(definition.parameters || { type: 'object' }, args);
+    if (!checked.valid) {
+        throw new ToolError(`Invalid arguments for ${definition.name}`, {
+            code: 'invalid_arguments',
+            status: 400,
+            issues: checked.errors.map(error => `${error.path || '(arguments)'} ${error.message}`)
+        });
+    }
+    
+    const request = buildRequest(definition, checked.value);
+    const maxResponseBytes = getMaxResponseBytes();
+    
+    // Query strings often carry API keys, so only the origin and path are logged
+    const { origin, pathname } = new URL(request.url);
+    logger.info('Custom tool request', { tool: definition.name, method: request.method, url: origin + pathname });
+    
+    try {
+        const response = await axios({
+            ...request,
+            timeout: TIMEOUT,
+            signal,
+            // Redirects could leave the allowlist
+            maxRedirects: 0,
+            maxContentLength: maxResponseBytes,
+            responseType: 'text',
+            transformResponse: [data => data],
+            validateStatus: () => true
+        });
+        
+        let data = response.data;
+        try {
+            data = JSON.parse(response.data);
+        } catch (error) {
+            // Not JSON; the text is returned as-is
+        }
+        
+        return {
+            status: response.status,
+            ok: response.status >= 200 && response.status < 300,
+            data
+        };
+    } catch (error) {
+        if (axios.isCancel(error)) {
+            throw new ToolError('Request cancelled', { code: 'aborted', status: 499 });
+        }
+        if (/maxContentLength/.test(error.message)) {
+            throw new ToolError(`Response exceeds ${maxResponseBytes} bytes`, { code: 'response_too_large', status: 502 });
+        }
+        if (error.code === 'ECONNABORTED') {
+            throw new ToolError(`${definition.name} timed out after ${TIMEOUT}ms`, { code: 'timeout', status: 504 });
+        }
+        throw new ToolError(`Request failed: ${error.message}`, { code: 'upstream_error', status: 502 });
+    }
+}
+
+module.exports = {
+    METHODS,
+    getConfig,
+    callHttpTool
+};
@@ -0,0 +1,23 @@
+// Professional logging
+const logger = {
+    info: (message, data) => {
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] INFO: ${message}`, data ? JSON.stringify(data) : '');
+    },
+    warn: (message, data) => {
+        const timestamp = new Date().toISOString();
+        console.warn(`[${timestamp}] WARN: ${message}`, data ? JSON.stringify(data) : '');
+    },
+    error: (message, data) => {
+        const timestamp = new Date().toISOString();
+        console.error(`[${timestamp}] ERROR: ${message}`, data ? JSON.stringify(data) : '');
+    },
+    debug: (message, data) => {
+        if (process.env.NODE_ENV === 'development') {
+            const timestamp = new Date().toISOString();
+            console.log(`[${timestamp}] DEBUG: ${message}`, data ? JSON.stringify(data) : '');
+        }
+    }
+};
+
+module.exports = logger;
@@ -0,0 +1,157 @@
+const logger = require('../logger');
+const { createTransport } = require('./transports');
+const { version } = require('../package.json');
+
+const PROTOCOL_VERSION = '2025-06-18';
+const REQUEST_TIMEOUT = 30000;
+
+class McpError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'McpError';
+        this.code = code;
+    }
+}
+
+// One connection to one MCP server: the initialize handshake, tools/list and tools/call.
+// Server-initiated requests other than ping are answered with "method not found".
+class McpClient {
+    constructor(name, config) {
+        this.name = name;
+        this.config = config;
+        this.transport = null;
+        this.status = 'stopped'; // stopped | connecting | ready | closed | failed
+        this.error = null;
+        this.serverInfo = null;
+        this.tools = [];
+        this.pending = new Map();
+        this.nextId = 0;
+        this.onToolsChanged = null;
+    }
+    
+    async connect() {
+        this.status = 'connecting';
+        this.transport = createTransport(this.name, this.config, {
+            onMessage: message => this.handleMessage(message),
+            onClose: error => this.handleClose(error)
+        });
+        
+        await this.transport.start();
+        const result = await this.request('initialize', {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: { name: 'agentflow', version }
+        });
+        this.serverInfo = result.serverInfo || null;
+        await this.notify('notifications/initialized');
+        
+        await this.refreshTools();
+        this.status = 'ready';
+    }
+    
+    async refreshTools() {
+        const tools = [];
+        let cursor;
+        do {
+            const page = await this.request('tools/list', cursor ? { cursor } : {});
+            tools.push(...(page.tools || []));
+            cursor = page.nextCursor;
+        } while (cursor);
+        
+        this.tools = tools;
+        return tools;
+    }
+    
+    // tools/call results are returned as-is ({ content, structuredContent, isError })
+    callTool(name, args, { signal } = {}) {
+        return this.request('tools/call', { name, arguments: args }, { signal, timeout: null });
+    }
+    
+    // timeout: null leaves the deadline to the caller's signal (tool calls use the registry timeout)
+    request(method, params, { signal, timeout = REQUEST_TIMEOUT } = {}) {
+        const id = ++this.nextId;
+        
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
+            
+            const settle = (error, result) => {
+                if (!this.pending.has(id)) return;
+                this.pending.delete(id);
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+                error ? reject(error) : resolve(result);
+            };
+            
+            const onAbort = () => {
+                this.notify('notifications/cancelled', { requestId: id, reason: 'Cancelled by client' }).catch(() => {});
+                settle(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            
+            const timer = timeout
+                ? setTimeout(() => settle(new McpError(`${method} timed out after ${timeout}ms`, 'timeout')), timeout)
+                : null;
+            
+            this.pending.set(id, settle);
+            this.transport.send({ jsonrpc: '2.0', id, method, params }, { signal })
+                .catch(error => settle(signal?.aborted ? signal.reason : error));
+        });
+    }
+    
+    notify(method, params) {
+        return this.transport.send({ jsonrpc: '2.0', method, ...(params && { params }) });
+    }
+    
+    handleMessage(message) {
+        // Reply to one of our requests
+        if (message.id !== undefined && !message.method) {
+            const settle = this.pending.get(message.id);
+            if (!settle) return;
+            
+            if (message.error) {
+                settle(new McpError(message.error.message || 'MCP request failed', message.error.code));
+            } else {
+                settle(null, message.result || {});
+            }
+            return;
+        }
+        
+        // Request from the server
+        if (message.id !== undefined) {
+            const reply = message.method === 'ping'
+                ? { jsonrpc: '2.0', id: message.id, result: {} }
+                : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not supported: ${message.method}` } };
+            this.transport.send(reply).catch(() => {});
+            return;
+        }
+        
+        if (message.method === 'notifications/tools/list_changed' && this.status === 'ready') {
+            this.refreshTools()
+                .then(() => this.onToolsChanged?.(this))
+                .catch(error => logger.warn('MCP tool refresh failed', { server: this.name, error: error.message }));
+        }
+    }
+    
+    // Failures while connecting surface through connect() instead
+    handleClose(error) {
+        if (this.status === 'ready') {
+            logger.warn('MCP server disconnected', { server: this.name, error: error?.message });
+            this.status = 'closed';
+            this.error = error?.message || null;
+        }
+        
+        const closed = new McpError(`MCP server ${this.name} disconnected`, 'closed');
+        Array.from(this.pending.values()).forEach(settle => settle(closed));
+        this.onToolsChanged?.(this);
+    }
+    
+    close() {
+        this.status = 'stopped';
+        this.transport?.close();
+    }
+}
+
+module.exports = {
+    McpClient,
+    McpError
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const tools = require('../tools');
+const { McpClient, McpError } = require('./client');
+
+// MCP servers
+// Configured in config/mcp-servers.json (or the file named by MCP_CONFIG):
+//   { "mcpServers": {
+//       "<name>": { "command": "npx", "args": [...], "env": {...}, "cwd": "..." },     stdio
+//       "<name>": { "url": "http://localhost:8000/mcp", "headers": {...} },            streamable HTTP
+//       "<name>": { "url": "http://localhost:8000/sse", "transport": "sse" }           HTTP+SSE
+//   } }
+// Optional per server: timeout (ms per tool call, default 60000), permission (default approval
+// policy; otherwise read-only tools run automatically and the rest ask), disabled.
+// Each server's tools join the tool registry as "<server>__<tool>", grouped by server name.
+
+const DEFAULT_TIMEOUT = 60000;
+const clients = new Map();
+const registered = new Map(); // server name -> registry names
+let ready = Promise.resolve();
+
+function loadConfig() {
+    const file = process.env.MCP_CONFIG || path.join(__dirname, '..', 'config', 'mcp-servers.json');
+    if (!fs.existsSync(file)) return {};
+    
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8')).mcpServers || {};
+    } catch (error) {
+        logger.error('Invalid MCP config', { file, error: error.message });
+        return {};
+    }
+}
+
+// Registry names must also be valid LLM function names
+function qualifyName(server, tool) {
+    return `${server}__${tool}`.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 64);
+}
+
+function formatResult(result) {
+    const text = (result.content || []).map(item => {
+        switch (item.type) {
+            case 'text':
+                return item.text;
+            case 'resource':
+                return item.resource?.text ?? `[resource: ${item.resource?.uri}]`;
+            case 'resource_link':
+                return `[resource: ${item.uri}]`;
+            default:
+                return `[${item.type}${item.mimeType ? `: ${item.mimeType}` : ''}]`;
+        }
+    }).join('\n');
+    
+    return {
+        isError: Boolean(result.isError),
+        content: text,
+        ...(result.structuredContent && { structuredContent: result.structuredContent })
+    };
+}
+
+async function callTool(client, toolName, args, signal) {
+    try {
+        return formatResult(await client.callTool(toolName, args, { signal }));
+    } catch (error) {
+        if (signal.aborted) {
+            throw new tools.ToolError(`${toolName} cancelled`, { code: 'aborted', status: 499 });
+        }
+        if (error instanceof McpError) {
+            throw new tools.ToolError(`${client.name}: ${error.message}`, { code: 'mcp_error', status: 502 });
+        }
+        throw error;
+    }
+}
+
+// Replaces the registry entries for a server with its current tool list
+function syncServerTools(client) {
+    (registered.get(client.name) || []).forEach(name => tools.unregisterTool(name));
+    registered.set(client.name, []);
+    if (client.status !== 'ready') return;
+    
+    const { config } = client;
+    const names = client.tools.map(tool => {
+        const name = qualifyName(client.name, tool.name);
+        tools.registerTool({
+            name,
+            description: tool.description || tool.title || `${tool.name} (${client.name})`,
+            parameters: tool.inputSchema || { type: 'object', properties: {} },
+            timeout: config.timeout || DEFAULT_TIMEOUT,
+            permission: config.permission || (tool.annotations?.readOnlyHint ? 'auto' : 'ask'),
+            renderer: 'mcp',
+            group: client.name,
+            handler: (args, { signal }) => callTool(client, tool.name, args, signal)
+        }, `mcp:${client.name}`);
+        return name;
+    });
+    registered.set(client.name, names);
+}
+
+async function startServer(name, config) {
+    const client = new McpClient(name, config);
+    client.onToolsChanged = syncServerTools;
+    clients.set(name, client);
+    
+    try {
+        await client.connect();
+        syncServerTools(client);
+        logger.info('MCP server connected', { server: name, tools: client.tools.length });
+    } catch (error) {
+        logger.warn('MCP server unavailable', { server: name, error: error.message });
+        client.close();
+        client.status = 'failed';
+        client.error = error.message;
+    }
+}
+
+function startServers() {
+    const servers = Object.entries(loadConfig()).filter(([, config]) => !config.disabled);
+    ready = Promise.all(servers.map(([name, config]) => startServer(name, config)));
+    return ready;
+}
+
+// GET /api/tools waits for startup so the first page load sees every tool
+function whenReady(timeoutMs = 15000) {
+    let timer;
+    return Promise.race([
+        ready,
+        new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })
+    ]).finally(() => clearTimeout(timer));
+}
+
+function getStatus() {
+    return Array.from(clients.values()).map(client => ({
+        name: client.name,
+        transport: client.config.command ? 'stdio' : (client.config.transport || 'http'),
+        status: client.status,
+        tools: client.tools.length,
+        ...(client.error && { error: client.error })
+    }));
+}
+
+function stopServers() {
+    clients.forEach(client => client.close());
+}
+
+module.exports = {
+    startServers,
+    stopServers,
+    whenReady,
+    getStatus
+};
@@ -0,0 +1,238 @@
+const { spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+const axios = require('axios');
+const logger = require('../logger');
+
+// MCP transports
+// A transport moves JSON-RPC messages and knows nothing about MCP itself:
+//   start() -> Promise          connect or launch the server
+//   send(message, { signal })   deliver one message; resolves once it was handed over
+//   close()
+// Everything the server sends goes to handlers.onMessage(message); handlers.onClose(error)
+// is called once when the connection ends.
+
+// Parse a text/event-stream body into { event, data } events
+function parseEventStream(stream, onEvent) {
+    return new Promise((resolve, reject) => {
+        const decoder = new StringDecoder('utf8');
+        let buffer = '';
+        let event = 'message';
+        let data = [];
+        
+        stream.on('data', chunk => {
+            buffer += decoder.write(chunk);
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            
+            for (const line of lines) {
+                if (line === '') {
+                    if (data.length > 0) onEvent({ event, data: data.join('\n') });
+                    event = 'message';
+                    data = [];
+                } else if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data.push(line.slice(5).replace(/^ /, ''));
+                }
+            }
+        });
+        stream.on('end', resolve);
+        stream.on('error', reject);
+    });
+}
+
+function parseMessage(text, source) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        logger.debug('Skipping malformed MCP message', { source, payload: String(text).substring(0, 100) });
+        return null;
+    }
+}
+
+// Launches the server as a child process; newline-delimited JSON-RPC over stdin/stdout
+class StdioTransport {
+    constructor(name, { command, args = [], env = {}, cwd }, handlers) {
+        this.name = name;
+        this.command = command;
+        this.args = args;
+        this.env = env;
+        this.cwd = cwd;
+        this.handlers = handlers;
+        this.child = null;
+    }
+    
+    start() {
+        return new Promise((resolve, reject) => {
+            this.child = spawn(this.command, this.args, {
+                cwd: this.cwd,
+                env: { ...process.env, ...this.env },
+                stdio: ['pipe', 'pipe', 'pipe']
+            });
+            
+            const decoder = new StringDecoder('utf8');
+            let buffer = '';
+            this.child.stdout.on('data', chunk => {
+                buffer += decoder.write(chunk);
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.filter(line => line.trim()).forEach(line => {
+                    const message = parseMessage(line, this.name);
+                    if (message) this.handlers.onMessage(message);
+                });
+            });
+            
+            // Servers log to stderr
+            this.child.stderr.on('data', chunk => {
+                logger.debug('MCP server stderr', { server: this.name, output: chunk.toString().trim().substring(0, 500) });
+            });
+            
+            this.child.once('spawn', resolve);
+            this.child.once('error', error => {
+                reject(error);
+                this.handlers.onClose(error);
+            });
+            this.child.once('exit', (code, signal) => {
+                this.handlers.onClose(new Error(`Server exited (${signal || `code ${code}`})`));
+            });
+        });
+    }
+    
+    async send(message) {
+        if (!this.child || this.child.exitCode !== null || !this.child.stdin.writable) {
+            throw new Error('Server is not running');
+        }
+        this.child.stdin.write(JSON.stringify(message) + '\n');
+    }
+    
+    close() {
+        if (this.child && this.child.exitCode === null) {
+            this.child.stdin.end();
+            this.child.kill();
+        }
+    }
+}
+
+// Streamable HTTP: every message is a POST; replies come back as JSON or as an SSE stream
+class StreamableHttpTransport {
+    constructor(name, { url, headers = {} }, handlers) {
+        this.name = name;
+        this.url = url;
+        this.headers = headers;
+        this.handlers = handlers;
+        this.sessionId = null;
+    }
+    
+    async start() {}
+    
+    async send(message, { signal } = {}) {
+        const response = await axios.post(this.url, message, {
+            headers: {
+                ...this.headers,
+                'Content-Type': 'application/json',
+                Accept: 'application/json, text/event-stream',
+                ...(this.sessionId && { 'Mcp-Session-Id': this.sessionId })
+            },
+            responseType: 'stream',
+            validateStatus: () => true,
+            signal
+        });
+        
+        this.sessionId = response.headers['mcp-session-id'] || this.sessionId;
+        
+        if (response.status >= 400) {
+            response.data.destroy();
+            throw new Error(`MCP server responded with HTTP ${response.status}`);
+        }
+        
+        if (String(response.headers['content-type']).includes('text/event-stream')) {
+            await parseEventStream(response.data, ({ data }) => {
+                const parsed = parseMessage(data, this.name);
+                if (parsed) this.handlers.onMessage(parsed);
+            });
+            return;
+        }
+        
+        // 202 Accepted (notifications) has no body
+        let body = '';
+        for await (const chunk of response.data) body += chunk;
+        if (!body.trim()) return;
+        
+        const parsed = parseMessage(body, this.name);
+        [].concat(parsed || []).forEach(entry => this.handlers.onMessage(entry));
+    }
+    
+    close() {
+        if (this.sessionId) {
+            axios.delete(this.url, { headers: { ...this.headers, 'Mcp-Session-Id': this.sessionId } }).catch(() => {});
+        }
+    }
+}
+
+// HTTP+SSE (older servers): a long-lived GET stream carries the replies, and its first
+// `endpoint` event names the URL to POST messages to
+class SseTransport {
+    constructor(name, { url, headers = {} }, handlers) {
+        this.name = name;
+        this.url = url;
+        this.headers = headers;
+        this.handlers = handlers;
+        this.endpoint = null;
+        this.stream = null;
+    }
+    
+    async start() {
+        const response = await axios.get(this.url, {
+            headers: { ...this.headers, Accept: 'text/event-stream' },
+            responseType: 'stream'
+        });
+        this.stream = response.data;
+        
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('No endpoint event from SSE server')), 10000);
+            
+            parseEventStream(this.stream, ({ event, data }) => {
+                if (event === 'endpoint') {
+                    this.endpoint = new URL(data, this.url).toString();
+                    clearTimeout(timer);
+                    resolve();
+                } else if (event === 'message') {
+                    const parsed = parseMessage(data, this.name);
+                    if (parsed) this.handlers.onMessage(parsed);
+                }
+            })
+                .then(() => this.handlers.onClose(new Error('SSE stream closed')))
+                .catch(error => this.handlers.onClose(error));
+        });
+    }
+    
+    async send(message, { signal } = {}) {
+        if (!this.endpoint) {
+            throw new Error('SSE transport is not connected');
+        }
+        await axios.post(this.endpoint, message, {
+            headers: { ...this.headers, 'Content-Type': 'application/json' },
+            signal
+        });
+    }
+    
+    close() {
+        this.stream?.destroy();
+    }
+}
+
+function createTransport(name, config, handlers) {
+    if (config.command) {
+        return new StdioTransport(name, config, handlers);
+    }
+    if (!config.url) {
+        throw new Error('Server needs either "command" (stdio) or "url" (HTTP/SSE)');
+    }
+    return config.transport === 'sse'
+        ? new SseTransport(name, config, handlers)
+        : new StreamableHttpTransport(name, config, handlers);
+}
+
+module.exports = {
+    createTransport
+};
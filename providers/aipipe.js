@@ -0,0 +1,34 @@
+const {
+    buildChatCompletionBody,
+    parseChatCompletion,
+    parseChatCompletionChunk
+} = require('./shared/messages');
+
+// AI Pipe proxies the OpenAI chat completions API with its own token
+module.exports = {
+    id: 'aipipe',
+    name: 'AI Pipe',
+    models: [
+        { value: 'gpt-4o-mini', label: 'GPT-4o Mini', contextWindow: 128000, maxOutputTokens: 16384 },
+        { value: 'gpt-4o', label: 'GPT-4o', contextWindow: 128000, maxOutputTokens: 16384 }
+    ],
+    capabilities: { tools: true, streaming: true, vision: false },
+    
+    validateKey(apiKey) {
+        return Boolean(apiKey) && apiKey.length >= 10;
+    },
+    
+    buildRequest({ model, messages, tools, apiKey, stream, generation, toolChoice }) {
+        return {
+            url: 'https://aipipe.org/openai/v1/chat/completions',
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: buildChatCompletionBody({ model, messages, tools, stream, generation, toolChoice })
+        };
+    },
+    
+    parseResponse: parseChatCompletion,
+    parseStreamEvent: parseChatCompletionChunk
+};
@@ -0,0 +1,208 @@
+const logger = require('../logger');
+const { parseToolArguments } = require('./shared/messages');
+const { ProviderError } = require('./shared/errors');
+
+// Translate OpenAI-style messages into Anthropic content blocks.
+// System messages move to the top-level `system` field, assistant tool_calls become
+// tool_use blocks and tool messages become tool_result blocks inside a user turn.
+function toAnthropicMessages(messages) {
+    const systemParts = [];
+    const anthropicMessages = [];
+    const knownToolUseIds = new Set();
+    let seenUserTurn = false;
+    
+    const append = (role, blocks) => {
+        if (blocks.length === 0) return;
+        const previous = anthropicMessages[anthropicMessages.length - 1];
+        // Anthropic requires alternating roles, so consecutive turns are merged
+        if (previous && previous.role === role) {
+            previous.content.push(...blocks);
+        } else {
+            anthropicMessages.push({ role, content: blocks });
+        }
+    };
+    
+    for (const msg of messages) {
+        const text = typeof msg.content === 'string' ? msg.content : '';
+        
+        switch (msg.role) {
+            case 'system':
+                if (text.trim()) systemParts.push(text);
+                break;
+            case 'assistant': {
+                // The first turn must come from the user
+                if (!seenUserTurn) break;
+                const blocks = text.trim() ? [{ type: 'text', text }] : [];
+                (msg.tool_calls || []).forEach(tc => {
+                    knownToolUseIds.add(tc.id);
+                    blocks.push({
+                        type: 'tool_use',
+                        id: tc.id,
+                        name: tc.function.name,
+                        input: parseToolArguments(tc.function.arguments)
+                    });
+                });
+                append('assistant', blocks);
+                break;
+            }
+            case 'tool':
+                // A result whose tool_use was trimmed away would be rejected by the API
+                if (!knownToolUseIds.has(msg.tool_call_id)) {
+                    logger.debug('Dropping orphaned tool result', { toolCallId: msg.tool_call_id });
+                    break;
+                }
+                append('user', [{
+                    type: 'tool_result',
+                    tool_use_id: msg.tool_call_id,
+                    content: text
+                }]);
+                break;
+            default:
+                seenUserTurn = true;
+                append('user', text.trim() ? [{ type: 'text', text }] : []);
+        }
+    }
+    
+    return {
+        system: systemParts.join('\n\n'),
+        messages: anthropicMessages
+    };
+}
+
+// Translate Anthropic response content blocks back into { content, tool_calls }
+function fromAnthropicContent(blocks) {
+    const text = (blocks || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    
+    const toolCalls = (blocks || [])
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+            id: block.id,
+            type: 'function',
+            function: {
+                name: block.name,
+                arguments: JSON.stringify(block.input || {})
+            }
+        }));
+    
+    return {
+        content: text,
+        tool_calls: toolCalls.length > 0 ? toolCalls : null
+    };
+}
+
+module.exports = {
+    id: 'anthropic',
+    name: 'Anthropic Claude',
+    models: [
+        { value: 'claude-sonnet-4-20250514', label: 'Claude 4.0 Sonnet', contextWindow: 200000, maxOutputTokens: 64000 },
+        { value: 'claude-opus-4-1-20250805', label: 'Claude 4.1 Opus', contextWindow: 200000, maxOutputTokens: 32000 }
+    ],
+    capabilities: { tools: true, streaming: true, vision: true },
+    
+    validateKey(apiKey) {
+        return Boolean(apiKey) && apiKey.startsWith('sk-ant-') && apiKey.length >= 40;
+    },
+    
+    buildRequest({ model, messages, tools, apiKey, stream, generation = {}, toolChoice = 'auto' }) {
+        const { system, messages: anthropicMessages } = toAnthropicMessages(messages);
+        
+        const body = {
+            model,
+            max_tokens: generation.maxTokens ?? 2000,
+            messages: anthropicMessages
+        };
+        
+        // Claude takes temperature (0-1) or top_p, not both; an explicit top_p wins.
+        // Extended thinking is not offered: tool-use turns would have to replay the
+        // thinking blocks, which the shared message format does not keep.
+        if (generation.topP !== undefined) {
+            body.top_p = generation.topP;
+        } else if (generation.temperature !== undefined) {
+            body.temperature = Math.min(generation.temperature, 1);
+        }
+        
+        if (generation.stop) {
+            body.stop_sequences = generation.stop;
+        }
+        
+        if (system) {
+            body.system = system;
+        }
+        
+        if (tools && tools.length > 0) {
+            body.tools = tools.map(tool => ({
+                name: tool.function.name,
+                description: tool.function.description,
+                input_schema: tool.function.parameters
+            }));
+            // Tools stay declared even when disabled: history with tool_use blocks requires them
+            body.tool_choice = { type: toolChoice };
+        }
+        
+        if (stream) {
+            body.stream = true;
+        }
+        
+        return {
+            url: 'https://api.anthropic.com/v1/messages',
+            headers: {
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01',
+                'Content-Type': 'application/json'
+            },
+            body
+        };
+    },
+    
+    parseResponse(data) {
+        return fromAnthropicContent(data.content);
+    },
+    
+    // Anthropic streams content blocks; tool_use blocks are mapped to sequential tool call indexes
+    parseStreamEvent(event, state) {
+        state.toolIndexByBlock = state.toolIndexByBlock || new Map();
+        
+        switch (event.type) {
+            case 'content_block_start':
+                if (event.content_block?.type !== 'tool_use') return null;
+                state.toolIndexByBlock.set(event.index, state.toolIndexByBlock.size);
+                return {
+                    content: '',
+                    tool_calls: [{
+                        index: state.toolIndexByBlock.get(event.index),
+                        id: event.content_block.id,
+                        type: 'function',
+                        function: { name: event.content_block.name, arguments: '' }
+                    }]
+                };
+            case 'content_block_delta':
+                if (event.delta?.type === 'text_delta') {
+                    return { content: event.delta.text };
+                }
+                if (event.delta?.type === 'input_json_delta' && state.toolIndexByBlock.has(event.index)) {
+                    return {
+                        content: '',
+                        tool_calls: [{
+                            index: state.toolIndexByBlock.get(event.index),
+                            function: { arguments: event.delta.partial_json }
+                        }]
+                    };
+                }
+                return null;
+            case 'error': {
+                const overloaded = event.error?.type === 'overloaded_error';
+                throw new ProviderError(event.error?.message || 'Anthropic stream error', {
+                    code: overloaded ? 'upstream_error' : 'stream_error',
+                    status: 502,
+                    retryable: overloaded,
+                    provider: 'anthropic'
+                });
+            }
+            default:
+                return null;
+        }
+    }
+};
@@ -0,0 +1,94 @@
+const {
+    buildChatCompletionBody,
+    parseChatCompletion,
+    parseChatCompletionChunk
+} = require('./shared/messages');
+const { ProviderError } = require('./shared/errors');
+
+// Any OpenAI-compatible server (Ollama, llama.cpp server, vLLM, LM Studio, ...).
+// The base URL and model name come from the UI; the API key is optional and is
+// sent in the configured auth header, as a Bearer token for `Authorization`.
+// The backend only calls hosts on its allowlist, like custom HTTP tools:
+//   CUSTOM_PROVIDER_ALLOWED_HOSTS   comma-separated hostnames; "*.example.com" also matches
+//                                   subdomains. Empty (the default) disables this provider.
+function getAllowedHosts() {
+    return (process.env.CUSTOM_PROVIDER_ALLOWED_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function isHostAllowed(hostname) {
+    const host = hostname.toLowerCase();
+    return getAllowedHosts().some(allowed => allowed.startsWith('*.')
+        ? host.endsWith(allowed.substring(1))
+        : host === allowed);
+}
+
+function resolveEndpoint(baseUrl) {
+    let url;
+    try {
+        url = new URL(baseUrl);
+    } catch (e) {
+        throw new ProviderError('A valid base URL is required for the custom provider', {
+            code: 'invalid_config',
+            status: 400,
+            provider: 'custom'
+        });
+    }
+    
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new ProviderError('Custom provider base URL must use http or https', {
+            code: 'invalid_config',
+            status: 400,
+            provider: 'custom'
+        });
+    }
+    
+    if (!isHostAllowed(url.hostname)) {
+        throw new ProviderError(`Host ${url.hostname} is not in CUSTOM_PROVIDER_ALLOWED_HOSTS`, {
+            code: 'host_not_allowed',
+            status: 403,
+            provider: 'custom'
+        });
+    }
+    
+    const pathname = url.pathname.replace(/\/+$/, '');
+    url.pathname = pathname.endsWith('/chat/completions') ? pathname : `${pathname}/chat/completions`;
+    return url.toString();
+}
+
+module.exports = {
+    id: 'custom',
+    name: 'Custom (OpenAI-compatible)',
+    models: [],
+    capabilities: { tools: true, streaming: true, vision: false },
+    requiresKey: false,
+    customEndpoint: true,
+    
+    // requiresKey: false already lets keyless requests through, and local servers rarely
+    // use `sk-` keys, so there is no key format to check
+    validateKey() {
+        return true;
+    },
+    
+    buildRequest({ model, messages, tools, apiKey, stream, options = {}, generation, toolChoice }) {
+        const headers = { 'Content-Type': 'application/json' };
+        
+        if (apiKey) {
+            const headerName = (options.authHeader || 'Authorization').trim();
+            headers[headerName] = headerName.toLowerCase() === 'authorization' ? `Bearer ${apiKey}` : apiKey;
+        }
+        
+        return {
+            url: resolveEndpoint(options.baseUrl),
+            headers,
+            // Redirects could leave the allowlist
+            maxRedirects: 0,
+            body: buildChatCompletionBody({ model, messages, tools, stream, generation, toolChoice })
+        };
+    },
+    
+    parseResponse: parseChatCompletion,
+    parseStreamEvent: parseChatCompletionChunk
+};
@@ -0,0 +1,218 @@
+const logger = require('../logger');
+const { parseToolArguments } = require('./shared/messages');
+
+// Reasoning effort maps to a thinking token budget (thinking counts against maxOutputTokens)
+const THINKING_BUDGETS = { low: 1024, medium: 8192, high: 24576 };
+
+// Translate OpenAI-style messages into Gemini contents.
+// Assistant tool_calls become functionCall parts and tool messages become
+// functionResponse parts, looked up by name since Gemini has no call ids.
+function toGeminiContents(messages) {
+    const systemParts = [];
+    const contents = [];
+    const toolNamesById = new Map();
+    let seenUserTurn = false;
+    
+    const append = (role, parts) => {
+        if (parts.length === 0) return;
+        const previous = contents[contents.length - 1];
+        if (previous && previous.role === role) {
+            previous.parts.push(...parts);
+        } else {
+            contents.push({ role, parts });
+        }
+    };
+    
+    for (const msg of messages) {
+        const text = typeof msg.content === 'string' ? msg.content : '';
+        
+        switch (msg.role) {
+            case 'system':
+                if (text.trim()) systemParts.push({ text });
+                break;
+            case 'assistant': {
+                // Gemini rejects conversations that open with a model turn
+                if (!seenUserTurn) break;
+                const parts = text.trim() ? [{ text }] : [];
+                (msg.tool_calls || []).forEach(tc => {
+                    toolNamesById.set(tc.id, tc.function.name);
+                    parts.push({
+                        functionCall: {
+                            name: tc.function.name,
+                            args: parseToolArguments(tc.function.arguments)
+                        }
+                    });
+                });
+                append('model', parts);
+                break;
+            }
+            case 'tool': {
+                const name = toolNamesById.get(msg.tool_call_id);
+                if (!name) {
+                    logger.debug('Dropping orphaned tool result', { toolCallId: msg.tool_call_id });
+                    break;
+                }
+                const parsed = parseToolArguments(text);
+                append('user', [{
+                    functionResponse: {
+                        name,
+                        response: !Array.isArray(parsed) && Object.keys(parsed).length > 0 ? parsed : { content: text }
+                    }
+                }]);
+                break;
+            }
+            default:
+                seenUserTurn = true;
+                append('user', text.trim() ? [{ text }] : []);
+        }
+    }
+    
+    return {
+        systemInstruction: systemParts.length > 0 ? { parts: systemParts } : null,
+        contents
+    };
+}
+
+// Gemini accepts an OpenAPI subset of JSON Schema; drop keywords it rejects (e.g. `default`)
+function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    
+    const supported = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items'];
+    const result = {};
+    
+    for (const key of supported) {
+        if (schema[key] === undefined) continue;
+        if (key === 'properties') {
+            result.properties = Object.fromEntries(
+                Object.entries(schema.properties).map(([name, prop]) => [name, toGeminiSchema(prop)])
+            );
+        } else if (key === 'items') {
+            result.items = toGeminiSchema(schema.items);
+        } else {
+            result[key] = schema[key];
+        }
+    }
+    
+    return result;
+}
+
+function toGeminiToolCall(functionCall, index) {
+    return {
+        id: `call_gemini_${Date.now()}_${index}`,
+        type: 'function',
+        function: {
+            name: functionCall.name,
+            arguments: JSON.stringify(functionCall.args || {})
+        }
+    };
+}
+
+function parseGeminiParts(parts, state) {
+    const text = parts
+        .filter(part => part.text)
+        .map(part => part.text)
+        .join('');
+    
+    const toolCalls = parts
+        .filter(part => part.functionCall)
+        .map(part => {
+            const index = state.toolIndex++;
+            return { index, ...toGeminiToolCall(part.functionCall, index) };
+        });
+    
+    return { text, toolCalls };
+}
+
+module.exports = {
+    id: 'google',
+    name: 'Google Gemini',
+    models: [
+        { value: 'gemini-2.0-flash', label: 'Gemini 2.0 Flash', contextWindow: 1048576, maxOutputTokens: 8192 },
+        { value: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro', contextWindow: 1048576, maxOutputTokens: 65536, reasoning: true }
+    ],
+    capabilities: { tools: true, streaming: true, vision: true },
+    
+    validateKey(apiKey) {
+        return Boolean(apiKey) && apiKey.length >= 30;
+    },
+    
+    buildRequest({ model, messages, tools, apiKey, stream, generation = {}, toolChoice = 'auto' }) {
+        const geminiModel = model.startsWith('models/') ? model : `models/${model}`;
+        const { systemInstruction, contents } = toGeminiContents(messages);
+        
+        const body = {
+            contents,
+            generationConfig: {
+                temperature: generation.temperature ?? 0.7,
+                maxOutputTokens: generation.maxTokens ?? 2000
+            }
+        };
+        
+        if (generation.topP !== undefined) {
+            body.generationConfig.topP = generation.topP;
+        }
+        if (generation.stop) {
+            body.generationConfig.stopSequences = generation.stop;
+        }
+        if (generation.reasoningEffort) {
+            body.generationConfig.thinkingConfig = {
+                thinkingBudget: Math.min(
+                    THINKING_BUDGETS[generation.reasoningEffort],
+                    Math.floor(body.generationConfig.maxOutputTokens / 2)
+                )
+            };
+        }
+        
+        if (systemInstruction) {
+            body.systemInstruction = systemInstruction;
+        }
+        
+        if (tools && tools.length > 0) {
+            body.tools = [{
+                functionDeclarations: tools.map(tool => ({
+                    name: tool.function.name,
+                    description: tool.function.description,
+                    parameters: toGeminiSchema(tool.function.parameters)
+                }))
+            }];
+            body.toolConfig = {
+                functionCallingConfig: { mode: toolChoice === 'none' ? 'NONE' : 'AUTO' }
+            };
+        }
+        
+        // Function calling and systemInstruction are served from the v1beta surface
+        const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+        
+        return {
+            url: `https://generativelanguage.googleapis.com/v1beta/${geminiModel}:${method}key=${apiKey}`,
+            headers: { 'Content-Type': 'application/json' },
+            body
+        };
+    },
+    
+    parseResponse(data) {
+        if (!data.candidates || data.candidates.length === 0) {
+            throw new Error('No response from Gemini API');
+        }
+        
+        const { text, toolCalls } = parseGeminiParts(data.candidates[0].content?.parts || [], { toolIndex: 0 });
+        return {
+            content: text,
+            tool_calls: toolCalls.length > 0 ? toolCalls.map(({ index, ...call }) => call) : null
+        };
+    },
+    
+    // Gemini sends each functionCall part whole rather than as partial JSON
+    parseStreamEvent(event, state) {
+        state.toolIndex = state.toolIndex || 0;
+        
+        const { text, toolCalls } = parseGeminiParts(event.candidates?.[0]?.content?.parts || [], state);
+        if (!text && toolCalls.length === 0) return null;
+        
+        const delta = { content: text };
+        if (toolCalls.length > 0) {
+            delta.tool_calls = toolCalls;
+        }
+        return delta;
+    }
+};
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../logger');
+const { parseSSEStream, createDeltaAccumulator } = require('./shared/stream');
+const { ProviderError, toProviderError } = require('./shared/errors');
+const { normalizeGeneration } = require('./shared/generation');
+
+// Provider adapters
+// Every .js file in this directory (other than this one) exports an adapter:
+//   id, name, models[{ value, label, contextWindow, maxOutputTokens, reasoning }],
+//   capabilities{ tools, streaming, vision }
+//   validateKey(apiKey) -> boolean
+//   buildRequest({ model, messages, tools, apiKey, stream, options, generation, toolChoice }) -> { url, headers, body, maxRedirects? }
+//     (generation is validated by shared/generation.js: temperature, maxTokens, topP, stop, reasoningEffort;
+//      toolChoice is 'auto' or 'none' - 'none' keeps tools declared but forbids calling them)
+//   parseResponse(data) -> { content, tool_calls }
+//   parseStreamEvent(event, state) -> normalized delta or null
+// Optional: requiresKey (false lets requests through without a key instead of demo mode),
+//   customEndpoint (true when the UI supplies a base URL and free-text model in `options`)
+
+const REQUIRED_FIELDS = ['id', 'name', 'models', 'capabilities', 'validateKey', 'buildRequest', 'parseResponse'];
+const MAX_CONTENT_LENGTH = 8000;
+const REQUEST_TIMEOUT = 45000;
+
+// Retries for transient failures (429, 5xx, timeouts, network errors)
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY = 1000;
+const MAX_RETRY_DELAY = 20000;
+
+const registry = new Map();
+
+function loadAdapters(directory = __dirname) {
+    const files = fs.readdirSync(directory)
+        .filter(file => file.endsWith('.js') && file !== 'index.js')
+        .sort();
+    
+    for (const file of files) {
+        const adapter = require(path.join(directory, file));
+        const missing = REQUIRED_FIELDS.filter(field => adapter[field] === undefined);
+        
+        if (missing.length > 0) {
+            logger.warn('Skipping invalid provider adapter', { file, missing });
+            continue;
+        }
+        
+        registry.set(adapter.id, adapter);
+    }
+    
+    return registry;
+}
+
+function getProvider(id) {
+    return registry.get(id) || null;
+}
+
+function getModelInfo(id, model) {
+    return getProvider(id)?.models.find(entry => entry.value === model) || null;
+}
+
+// Public description used by GET /api/providers to build the frontend dropdowns
+function listProviders() {
+    return Array.from(registry.values()).map(adapter => ({
+        id: adapter.id,
+        name: adapter.name,
+        models: adapter.models,
+        capabilities: adapter.capabilities,
+        requiresKey: adapter.requiresKey !== false,
+        customEndpoint: Boolean(adapter.customEndpoint)
+    }));
+}
+
+// Every failure leaves here as a ProviderError (see shared/errors.js).
+// Retryable failures are retried with exponential backoff, honoring Retry-After,
+// unless part of a streamed answer has already reached the client.
+async function callProvider(id, request, onDelta) {
+    let streamStarted = false;
+    const trackedDelta = onDelta && ((delta) => {
+        streamStarted = true;
+        onDelta(delta);
+    });
+    
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await requestProvider(id, request, trackedDelta);
+        } catch (error) {
+            const providerError = await toProviderError(error, { provider: id, apiKey: request.apiKey });
+            const delay = providerError.retryAfterMs ?? RETRY_BASE_DELAY * 2 ** attempt + Math.floor(Math.random() * 250);
+            
+            // Timeouts are not retried here: another 45s wait would outlast the client's request
+            if (!providerError.retryable || providerError.code === 'timeout' || streamStarted
+                || attempt >= MAX_RETRIES || delay > MAX_RETRY_DELAY) {
+                throw providerError;
+            }
+            
+            logger.warn('Retrying provider call', {
+                provider: id,
+                attempt: attempt + 1,
+                code: providerError.code,
+                delayMs: delay
+            });
+            await waitForRetry(delay, request.signal, id);
+        }
+    }
+}
+
+// Backoff sleep that ends early, with the same cancellation error as a request, on Stop or disconnect
+function waitForRetry(delay, signal, provider) {
+    return new Promise((resolve, reject) => {
+        const cancelled = () => new ProviderError('Request cancelled', { code: 'aborted', status: 499, provider });
+        if (signal?.aborted) return reject(cancelled());
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(cancelled());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+async function requestProvider(id, { model, messages, tools, apiKey, options, generation = {}, toolChoice, signal }, onDelta) {
+    const adapter = getProvider(id);
+    if (!adapter) {
+        throw new ProviderError(`Unsupported provider: ${id}`, { code: 'unsupported_provider', status: 400, provider: id });
+    }
+    
+    if (!adapter.validateKey(apiKey)) {
+        throw new ProviderError(`Invalid ${adapter.name} API key format`, { code: 'invalid_key', status: 401, provider: id });
+    }
+    
+    const stream = Boolean(onDelta) && adapter.capabilities.streaming && Boolean(adapter.parseStreamEvent);
+    const request = adapter.buildRequest({
+        model,
+        messages,
+        tools: adapter.capabilities.tools ? tools : undefined,
+        apiKey,
+        stream,
+        options,
+        generation: normalizeGeneration(generation, {
+            // Custom endpoints serve models the registry does not know; their options say whether they reason
+            modelInfo: getModelInfo(id, model) || (adapter.customEndpoint ? { reasoning: Boolean(options?.reasoning) } : null),
+            provider: id
+        }),
+        toolChoice: toolChoice === 'none' ? 'none' : 'auto'
+    });
+    
+    const response = await axios.post(request.url, request.body, {
+        headers: request.headers,
+        timeout: REQUEST_TIMEOUT,
+        signal,
+        ...(request.maxRedirects !== undefined && { maxRedirects: request.maxRedirects }),
+        ...(stream && { responseType: 'stream' })
+    });
+    
+    let result;
+    if (stream) {
+        const accumulator = createDeltaAccumulator();
+        const state = {};
+        
+        // Aborting after the response started has to end the body stream as well
+        signal?.addEventListener('abort', () => {
+            response.data.destroy(new ProviderError('Request cancelled', { code: 'aborted', status: 499, provider: id }));
+        }, { once: true });
+        
+        // The content cap is applied as text streams, so what the user sees matches the result
+        let streamedLength = 0;
+        await parseSSEStream(response.data, event => {
+            let delta = adapter.parseStreamEvent(event, state);
+            if (!delta) return;
+            
+            if (delta.content) {
+                const content = delta.content.substring(0, Math.max(MAX_CONTENT_LENGTH - streamedLength, 0));
+                streamedLength += content.length;
+                delta = { ...delta, content };
+                if (!content && !delta.tool_calls) return;
+            }
+            
+            accumulator.push(delta);
+            onDelta(delta);
+        });
+        
+        result = accumulator.result();
+    } else {
+        result = adapter.parseResponse(response.data);
+    }
+    
+    return {
+        content: (result.content || '').substring(0, MAX_CONTENT_LENGTH),
+        tool_calls: result.tool_calls || null
+    };
+}
+
+loadAdapters();
+
+module.exports = {
+    loadAdapters,
+    getProvider,
+    getModelInfo,
+    listProviders,
+    callProvider,
+    ProviderError
+};
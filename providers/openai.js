@@ -0,0 +1,36 @@
+const {
+    buildChatCompletionBody,
+    parseChatCompletion,
+    parseChatCompletionChunk
+} = require('./shared/messages');
+
+module.exports = {
+    id: 'openai',
+    name: 'OpenAI GPT',
+    models: [
+        { value: 'gpt-4o', label: 'GPT-4o', contextWindow: 128000, maxOutputTokens: 16384 },
+        { value: 'gpt-4.1', label: 'GPT-4.1', contextWindow: 1047576, maxOutputTokens: 32768 },
+        { value: 'gpt-5', label: 'GPT-5', contextWindow: 400000, maxOutputTokens: 128000, reasoning: true }
+    ],
+    capabilities: { tools: true, streaming: true, vision: true },
+    
+    validateKey(apiKey) {
+        return Boolean(apiKey) && apiKey.startsWith('sk-') && apiKey.length >= 40;
+    },
+    
+    buildRequest({ model, messages, tools, apiKey, stream, generation, toolChoice }) {
+        const reasoningModel = Boolean(this.models.find(entry => entry.value === model)?.reasoning);
+        
+        return {
+            url: 'https://api.openai.com/v1/chat/completions',
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: buildChatCompletionBody({ model, messages, tools, stream, generation, reasoningModel, toolChoice })
+        };
+    },
+    
+    parseResponse: parseChatCompletion,
+    parseStreamEvent: parseChatCompletionChunk
+};
@@ -0,0 +1,171 @@
+// Structured provider failures returned by /api/llm:
+//   { error, code, status, retryable, provider }
+// `error` stays a plain string so older clients reading `errorData.error` keep working.
+class ProviderError extends Error {
+    constructor(message, { code = 'provider_error', status = 502, retryable = false, provider = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+        this.provider = provider;
+        this.retryAfterMs = retryAfterMs;
+    }
+    
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            status: this.status,
+            retryable: this.retryable,
+            provider: this.provider
+        };
+    }
+}
+
+const SECRET_PATTERNS = [
+    /sk-ant-[A-Za-z0-9_-]{8,}/g,
+    /sk-[A-Za-z0-9_-]{8,}/g,
+    /AIza[A-Za-z0-9_-]{20,}/g,
+    /([?&]key=)[^&\s"']+/gi,
+    /(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi
+];
+
+function redactSecrets(text, secrets = []) {
+    let redacted = String(text || '');
+    
+    secrets.filter(secret => secret && secret.length >= 6).forEach(secret => {
+        redacted = redacted.split(secret).join('[redacted]');
+    });
+    
+    SECRET_PATTERNS.forEach(pattern => {
+        redacted = redacted.replace(pattern, (match, prefix) =>
+            typeof prefix === 'string' ? `${prefix}[redacted]` : '[redacted]'
+        );
+    });
+    
+    return redacted.substring(0, 500);
+}
+
+// Streamed requests expose the error body as a stream; read a bounded prefix of it
+function readErrorBody(data) {
+    if (!data || typeof data.on !== 'function') {
+        return Promise.resolve(data);
+    }
+    
+    return new Promise(resolve => {
+        let body = '';
+        data.on('data', chunk => {
+            body += chunk.toString('utf8');
+            if (body.length > 10000) data.destroy();
+        });
+        data.on('end', () => resolve(parseJSONSafe(body)));
+        data.on('close', () => resolve(parseJSONSafe(body)));
+        data.on('error', () => resolve(parseJSONSafe(body)));
+    });
+}
+
+function parseJSONSafe(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function classifyStatus(status, upstreamMessage) {
+    if (status === 429) {
+        return /quota|billing|credit/i.test(upstreamMessage)
+            ? { code: 'quota_exceeded', retryable: false }
+            : { code: 'rate_limited', retryable: true };
+    }
+    if (status === 401 || status === 403) return { code: 'auth_failed', retryable: false };
+    if (status === 404) return { code: 'model_not_found', retryable: false };
+    if (status === 408) return { code: 'timeout', retryable: true };
+    if (status === 413) return { code: 'request_too_large', retryable: false };
+    if (status >= 500) return { code: 'upstream_error', retryable: true };
+    return { code: 'bad_request', retryable: false };
+}
+
+// Convert anything thrown while calling a provider into a ProviderError
+async function toProviderError(error, { provider, apiKey } = {}) {
+    if (error instanceof ProviderError) {
+        return error;
+    }
+    
+    const secrets = [apiKey];
+    
+    if (error.response) {
+        const status = error.response.status;
+        const body = await readErrorBody(error.response.data);
+        const upstreamMessage = body?.error?.message
+            || (typeof body?.error === 'string' ? body.error : null)
+            || (typeof body === 'string' && body.trim() ? body : null)
+            || error.message;
+        const { code, retryable } = classifyStatus(status, upstreamMessage);
+        
+        return new ProviderError(redactSecrets(upstreamMessage, secrets), {
+            code,
+            // Upstream 5xx become a gateway error; client-side 4xx pass through
+            status: status >= 500 ? 502 : status,
+            retryable,
+            provider,
+            retryAfterMs: parseRetryAfter(error.response.headers?.['retry-after'])
+        });
+    }
+    
+    // The caller aborted (client pressed Stop or disconnected)
+    if (error.code === 'ERR_CANCELED') {
+        return new ProviderError('Request cancelled', {
+            code: 'aborted',
+            status: 499,
+            retryable: false,
+            provider
+        });
+    }
+    
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new ProviderError('Provider did not respond in time', {
+            code: 'timeout',
+            status: 504,
+            retryable: true,
+            provider
+        });
+    }
+    
+    if (['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'EAI_AGAIN'].includes(error.code)) {
+        return new ProviderError(`Could not reach provider (${error.code})`, {
+            code: 'network_error',
+            status: 502,
+            retryable: true,
+            provider
+        });
+    }
+    
+    return new ProviderError(redactSecrets(error.message, secrets), {
+        code: 'provider_error',
+        status: 502,
+        retryable: false,
+        provider
+    });
+}
+
+module.exports = {
+    ProviderError,
+    parseRetryAfter,
+    redactSecrets,
+    toProviderError
+};
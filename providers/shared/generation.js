@@ -0,0 +1,81 @@
+const { ProviderError } = require('./errors');
+
+// Per-request generation settings: { temperature, maxTokens, topP, stop, reasoningEffort }
+// Malformed values are rejected with `invalid_params`. Model-dependent limits are applied
+// quietly (max tokens capped, reasoning effort dropped for models without it) so one set
+// of settings keeps working across every target in a failover chain.
+
+const DEFAULT_MAX_TOKENS = 2000;
+// Reasoning tokens count against the output limit, so those models get more room
+const DEFAULT_REASONING_MAX_TOKENS = 16000;
+const MAX_STOP_SEQUENCES = 4;
+const REASONING_EFFORTS = ['low', 'medium', 'high'];
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function readNumber(value, name, min, max, provider) {
+    if (isBlank(value)) return undefined;
+    
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+        throw new ProviderError(`${name} must be a number between ${min} and ${max}`, {
+            code: 'invalid_params',
+            status: 400,
+            provider
+        });
+    }
+    return number;
+}
+
+function normalizeGeneration(raw, { modelInfo = null, provider = null } = {}) {
+    const invalid = (message) => new ProviderError(message, { code: 'invalid_params', status: 400, provider });
+    
+    if (isBlank(raw)) raw = {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        throw invalid('generation must be an object');
+    }
+    
+    // Unknown models are assumed not to support reasoning effort; custom endpoints opt in
+    // through their provider options (see requestProvider)
+    const reasoning = Boolean(modelInfo?.reasoning);
+    const generation = {};
+    
+    const temperature = readNumber(raw.temperature, 'temperature', 0, 2, provider);
+    if (temperature !== undefined) generation.temperature = temperature;
+    
+    const topP = readNumber(raw.topP, 'topP', 0, 1, provider);
+    if (topP !== undefined) generation.topP = topP;
+    
+    const maxTokens = isBlank(raw.maxTokens) ? undefined : Number(raw.maxTokens);
+    if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+        throw invalid('maxTokens must be a positive integer');
+    }
+    const defaultMaxTokens = modelInfo?.reasoning ? DEFAULT_REASONING_MAX_TOKENS : DEFAULT_MAX_TOKENS;
+    generation.maxTokens = Math.min(maxTokens || defaultMaxTokens, modelInfo?.maxOutputTokens || Infinity);
+    
+    if (!isBlank(raw.stop)) {
+        const stop = (Array.isArray(raw.stop) ? raw.stop : [raw.stop])
+            .filter(sequence => typeof sequence === 'string' && sequence !== '');
+        if (stop.length > MAX_STOP_SEQUENCES) {
+            throw invalid(`At most ${MAX_STOP_SEQUENCES} stop sequences are supported`);
+        }
+        if (stop.length > 0) generation.stop = stop;
+    }
+    
+    if (!isBlank(raw.reasoningEffort)) {
+        if (!REASONING_EFFORTS.includes(raw.reasoningEffort)) {
+            throw invalid(`reasoningEffort must be one of: ${REASONING_EFFORTS.join(', ')}`);
+        }
+        if (reasoning) generation.reasoningEffort = raw.reasoningEffort;
+    }
+    
+    return generation;
+}
+
+module.exports = {
+    DEFAULT_MAX_TOKENS,
+    REASONING_EFFORTS,
+    normalizeGeneration
+};
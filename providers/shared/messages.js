@@ -0,0 +1,91 @@
+function parseToolArguments(args) {
+    if (args && typeof args === 'object') return args;
+    try {
+        return JSON.parse(args || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+// Message and tool shapes shared by every OpenAI-compatible chat completions API.
+// System messages (persona prompt, running summary) are merged into one leading
+// message; several local chat templates reject a system turn anywhere else.
+function toOpenAIMessages(messages) {
+    const system = messages
+        .filter(msg => msg.role === 'system' && msg.content)
+        .map(msg => msg.content)
+        .join('\n\n');
+    
+    const converted = messages.filter(msg => msg.role !== 'system').map(msg => ({
+        role: msg.role,
+        content: msg.content || '',
+        ...(msg.tool_calls && { tool_calls: msg.tool_calls }),
+        ...(msg.tool_call_id && { tool_call_id: msg.tool_call_id })
+    }));
+    
+    return system ? [{ role: 'system', content: system }, ...converted] : converted;
+}
+
+// reasoningModel: OpenAI reasoning models take max_completion_tokens and reject
+// sampling parameters (temperature, top_p, stop)
+function buildChatCompletionBody({ model, messages, tools, stream, generation = {}, reasoningModel = false, toolChoice = 'auto' }) {
+    const body = {
+        model,
+        messages: toOpenAIMessages(messages)
+    };
+    
+    if (reasoningModel) {
+        body.max_completion_tokens = generation.maxTokens ?? 2000;
+    } else {
+        body.max_tokens = generation.maxTokens ?? 2000;
+        body.temperature = generation.temperature ?? 0.7;
+        if (generation.topP !== undefined) body.top_p = generation.topP;
+        if (generation.stop) body.stop = generation.stop;
+    }
+    
+    if (generation.reasoningEffort) {
+        body.reasoning_effort = generation.reasoningEffort;
+    }
+    
+    if (tools && tools.length > 0) {
+        body.tools = tools;
+        body.tool_choice = toolChoice;
+    }
+    
+    if (stream) {
+        body.stream = true;
+    }
+    
+    return body;
+}
+
+function parseChatCompletion(data) {
+    if (!data.choices || !data.choices[0]) {
+        throw new Error('No response from provider');
+    }
+    
+    const message = data.choices[0].message;
+    return {
+        content: message.content || '',
+        tool_calls: message.tool_calls || null
+    };
+}
+
+function parseChatCompletionChunk(event) {
+    const delta = event.choices?.[0]?.delta;
+    if (!delta) return null;
+    
+    const normalized = { content: delta.content || '' };
+    if (delta.tool_calls) {
+        normalized.tool_calls = delta.tool_calls;
+    }
+    return normalized;
+}
+
+module.exports = {
+    parseToolArguments,
+    toOpenAIMessages,
+    buildChatCompletionBody,
+    parseChatCompletion,
+    parseChatCompletionChunk
+};
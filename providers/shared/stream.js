@@ -0,0 +1,91 @@
+const { StringDecoder } = require('string_decoder');
+const logger = require('../../logger');
+
+// Read an upstream SSE body and hand each parsed `data:` payload to onEvent
+function parseSSEStream(stream, onEvent) {
+    return new Promise((resolve, reject) => {
+        const decoder = new StringDecoder('utf8');
+        let buffer = '';
+        let failed = false;
+        
+        // Returns false once onEvent has thrown; the stream is destroyed and the promise rejected
+        const handleLines = (lines) => {
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+                const payload = line.slice(5).trim();
+                if (!payload || payload === '[DONE]') continue;
+                
+                let event;
+                try {
+                    event = JSON.parse(payload);
+                } catch (e) {
+                    logger.debug('Skipping malformed stream event', { payload: payload.substring(0, 100) });
+                    continue;
+                }
+                
+                try {
+                    onEvent(event);
+                } catch (error) {
+                    failed = true;
+                    stream.destroy();
+                    reject(error);
+                    return false;
+                }
+            }
+            return true;
+        };
+        
+        stream.on('data', chunk => {
+            if (failed) return;
+            buffer += decoder.write(chunk);
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            handleLines(lines);
+        });
+        // The last event may arrive without a trailing newline
+        stream.on('end', () => {
+            if (failed) return;
+            if (handleLines((buffer + decoder.end()).split(/\r?\n/))) resolve();
+        });
+        stream.on('error', reject);
+    });
+}
+
+// Rebuild a complete { content, tool_calls } response from normalized deltas
+function createDeltaAccumulator() {
+    let content = '';
+    const toolCalls = [];
+    
+    return {
+        push(delta) {
+            if (delta.content) {
+                content += delta.content;
+            }
+            (delta.tool_calls || []).forEach(tc => {
+                if (!toolCalls[tc.index]) {
+                    toolCalls[tc.index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+                }
+                const target = toolCalls[tc.index];
+                if (tc.id) target.id = tc.id;
+                if (tc.function?.name) target.function.name += tc.function.name;
+                if (tc.function?.arguments) target.function.arguments += tc.function.arguments;
+            });
+        },
+        result() {
+            const calls = toolCalls.filter(Boolean);
+            // Tools without input stream no argument deltas; keep them parseable
+            calls.forEach(tc => {
+                if (!tc.function.arguments) tc.function.arguments = '{}';
+            });
+            return {
+                content,
+                tool_calls: calls.length > 0 ? calls : null
+            };
+        }
+    };
+}
+
+module.exports = {
+    parseSSEStream,
+    createDeltaAccumulator
+};
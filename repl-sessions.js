@@ -0,0 +1,263 @@
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const logger = require('./logger');
+
+// JavaScript sessions for execute_javascript
+// Each conversation gets its own runner process (execute-runner.js), so variables and helper
+// functions survive between tool calls. Sessions end on idle expiry, on reset, or when a call
+// has to kill the process (wall-clock timeout, memory or output limit); the next call then
+// starts a fresh one. Calls without a session id run in a throwaway process.
+
+const RUNNER = path.join(__dirname, 'execute-runner.js');
+const WALL_TIMEOUT = 10000;
+const MEMORY_LIMIT_MB = 64;
+const MAX_OUTPUT_BYTES = 1024 * 1024;
+const IDLE_TIMEOUT = 15 * 60 * 1000; // 15 minutes
+const MAX_SESSIONS = 20;
+const SESSION_ID_PATTERN = /^[\w-]{1,100}$/;
+// Node 22 renamed --experimental-permission to --permission
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has('--permission') ? '--permission' : '--experimental-permission';
+
+const sessions = new Map();
+
+const failure = (message) => ({
+    success: false,
+    result: null,
+    logs: [],
+    errors: [message],
+    error: message.substring(0, 1000),
+    outputs: [],
+    timestamp: new Date().toISOString()
+});
+
+class ReplSession {
+    constructor(id) {
+        this.id = id;
+        this.createdAt = Date.now();
+        this.lastUsed = Date.now();
+        this.pending = new Map();
+        this.nextId = 0;
+        this.queue = Promise.resolve();
+        this.closed = false;
+        this.stdout = '';
+        this.stderr = '';
+        
+        this.child = spawn(process.execPath, [
+            PERMISSION_FLAG,
+            `--allow-fs-read=${RUNNER}`,
+            `--max-old-space-size=${MEMORY_LIMIT_MB}`,
+            '--no-warnings',
+            RUNNER
+        ], { env: {}, stdio: ['pipe', 'pipe', 'pipe'] });
+        
+        // Lower priority so runaway code competes less with the server until it is killed
+        try {
+            os.setPriority(this.child.pid, 10);
+        } catch (error) {
+            // Not permitted on every platform
+        }
+        
+        this.child.stdout.setEncoding('utf8');
+        this.child.stdout.on('data', chunk => this.handleOutput(chunk));
+        this.child.stderr.setEncoding('utf8');
+        this.child.stderr.on('data', chunk => {
+            this.stderr = (this.stderr + chunk).slice(-4000);
+        });
+        // The runner may die before reading all of stdin
+        this.child.stdin.on('error', () => {});
+        this.child.once('error', error => this.handleExit(`Could not start the code runner: ${error.message}`));
+        this.child.once('close', (exitCode, exitSignal) => this.handleExit(this.describeExit(exitCode, exitSignal)));
+    }
+    
+    handleOutput(chunk) {
+        this.stdout += chunk;
+        if (this.stdout.length > MAX_OUTPUT_BYTES) {
+            this.kill('Output limit exceeded');
+            return;
+        }
+        
+        const lines = this.stdout.split('\n');
+        this.stdout = lines.pop();
+        lines.filter(line => line.trim()).forEach(line => {
+            const reply = JSON.parse(line);
+            this.pending.get(reply.id)?.resolve(reply);
+        });
+    }
+    
+    describeExit(exitCode, exitSignal) {
+        // V8 aborts the process when the heap limit is hit
+        if (exitSignal === 'SIGABRT' || exitCode === 134 || /heap out of memory/i.test(this.stderr)) {
+            return `Memory limit exceeded (${MEMORY_LIMIT_MB} MB)`;
+        }
+        const lastLine = this.stderr.trim().split('\n').pop();
+        return lastLine || `Code runner exited unexpectedly (${exitSignal || `code ${exitCode}`})`;
+    }
+    
+    handleExit(reason) {
+        this.closed = true;
+        if (sessions.get(this.id) === this) {
+            sessions.delete(this.id);
+        }
+        // A kill reason (timeout, cancel) recorded before the exit takes precedence
+        const error = new Error(this.killReason || reason);
+        Array.from(this.pending.values()).forEach(entry => entry.reject(error));
+    }
+    
+    kill(reason) {
+        if (this.closed || this.killReason) return;
+        this.killReason = reason;
+        this.child.kill('SIGKILL');
+    }
+    
+    // One message at a time; the runner is single-threaded anyway
+    request(message, { signal } = {}) {
+        const run = () => new Promise((resolve, reject) => {
+            if (this.closed) return reject(new Error('Session closed'));
+            if (signal?.aborted) return reject(new Error('cancelled'));
+            
+            const id = ++this.nextId;
+            const guard = setTimeout(() => this.kill('Execution timed out'), WALL_TIMEOUT);
+            const onAbort = () => this.kill('cancelled');
+            signal?.addEventListener('abort', onAbort, { once: true });
+            
+            const settle = (callback) => (value) => {
+                this.pending.delete(id);
+                clearTimeout(guard);
+                signal?.removeEventListener('abort', onAbort);
+                this.lastUsed = Date.now();
+                callback(value);
+            };
+            this.pending.set(id, { resolve: settle(resolve), reject: settle(reject) });
+            this.child.stdin.write(JSON.stringify({ id, ...message }) + '\n');
+        });
+        
+        const result = this.queue.then(run, run);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+    
+    close() {
+        this.kill('Session reset');
+        this.child.stdin.end();
+    }
+}
+
+function isValidSessionId(id) {
+    return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+function getSession(id) {
+    let session = sessions.get(id);
+    if (session && !session.closed) return session;
+    
+    // Make room by ending the least recently used session
+    if (sessions.size >= MAX_SESSIONS) {
+        const oldest = Array.from(sessions.values()).sort((a, b) => a.lastUsed - b.lastUsed)[0];
+        logger.info('Ending least recently used JavaScript session', { session: oldest.id });
+        oldest.close();
+        sessions.delete(oldest.id);
+    }
+    
+    session = new ReplSession(id);
+    sessions.set(id, session);
+    return session;
+}
+
+/**
+ * Run code in the session for `sessionId` (or a throwaway process when it is missing).
+ * Resolves the { success, result, logs, errors, error, outputs, timestamp } payload, including for
+ * failures; rejects only when `signal` aborted the call.
+ */
+async function execute(sessionId, code, { signal } = {}) {
+    const persistent = isValidSessionId(sessionId);
+    const session = persistent ? getSession(sessionId) : new ReplSession(null);
+    
+    try {
+        const reply = await session.request({ type: 'execute', code }, { signal });
+        const payload = reply.payload || {};
+        
+        if (!payload.success) {
+            logger.warn('Code execution error', { error: payload.error });
+        }
+        
+        return {
+            success: Boolean(payload.success),
+            result: payload.result,
+            logs: payload.logs || [],
+            errors: payload.errors || [],
+            error: payload.error || null,
+            outputs: payload.outputs || [],
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        if (signal?.aborted) {
+            logger.info('Code execution cancelled', { session: sessionId });
+            throw error;
+        }
+        
+        logger.warn('Code execution error', { error: error.message, session: sessionId });
+        const result = failure(error.message);
+        if (persistent) {
+            result.error += '. The session was reset, so variables from earlier calls are gone.';
+        }
+        return result;
+    } finally {
+        if (!persistent) session.close();
+    }
+}
+
+async function listVariables(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session || session.closed) {
+        return { active: false, variables: [] };
+    }
+    
+    const reply = await session.request({ type: 'variables' });
+    return {
+        active: true,
+        variables: reply.variables || [],
+        lastUsed: new Date(session.lastUsed).toISOString(),
+        expiresAt: new Date(session.lastUsed + IDLE_TIMEOUT).toISOString()
+    };
+}
+
+function resetSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return false;
+    
+    session.close();
+    sessions.delete(sessionId);
+    logger.info('JavaScript session reset', { session: sessionId });
+    return true;
+}
+
+function cleanIdleSessions() {
+    const now = Date.now();
+    for (const session of sessions.values()) {
+        if (now - session.lastUsed > IDLE_TIMEOUT && session.pending.size === 0) {
+            logger.info('JavaScript session expired', { session: session.id });
+            resetSession(session.id);
+        }
+    }
+}
+
+function stopSessions() {
+    sessions.forEach(session => session.close());
+    sessions.clear();
+}
+
+function getSessionCount() {
+    return sessions.size;
+}
+
+setInterval(cleanIdleSessions, 60 * 1000).unref();
+
+module.exports = {
+    isValidSessionId,
+    execute,
+    listVariables,
+    resetSession,
+    stopSessions,
+    getSessionCount
+};
@@ -0,0 +1,179 @@
+// AgentFlow - Tool argument parsing and JSON-schema validation
+// Shared by the browser (window.SchemaValidator) and the backend (require) so tool
+// arguments are checked the same way wherever a tool runs. Covers the subset of JSON
+// Schema used by tool declarations: type, properties, required, default, enum, items,
+// additionalProperties, minimum/maximum and minLength/maxLength.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SchemaValidator = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Models sometimes wrap arguments in code fences or leave trailing commas;
+    // those are repaired, anything else is reported back as a parse error.
+    function parseArguments(text) {
+        if (text && typeof text === 'object') {
+            return { ok: true, value: text, repaired: false };
+        }
+        
+        const raw = String(text ?? '').trim();
+        if (raw === '') {
+            return { ok: true, value: {}, repaired: false };
+        }
+        
+        try {
+            return { ok: true, value: JSON.parse(raw), repaired: false };
+        } catch (error) {
+            const repaired = raw
+                .replace(/^```(?:json)?\s*/i, '')
+                .replace(/\s*```$/, '')
+                .replace(/,\s*([}\]])/g, '$1');
+                
+            try {
+                return { ok: true, value: JSON.parse(repaired), repaired: true };
+            } catch (repairError) {
+                return { ok: false, error: `Arguments are not valid JSON: ${error.message}` };
+            }
+        }
+    }
+    
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+    
+    // Lossless coercions only: "5" -> 5, "true" -> true, 5 -> "5", x -> [x]
+    function coerce(value, type) {
+        const actual = typeOf(value);
+        if (actual === type || (type === 'number' && actual === 'integer')) return { ok: true, value };
+        
+        switch (type) {
+            case 'integer':
+                if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) return { ok: true, value: parseInt(value, 10) };
+                break;
+            case 'number':
+                if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+                    return { ok: true, value: Number(value) };
+                }
+                break;
+            case 'boolean':
+                if (value === 'true' || value === 'false') return { ok: true, value: value === 'true' };
+                break;
+            case 'string':
+                if (actual === 'number' || actual === 'integer' || actual === 'boolean') return { ok: true, value: String(value) };
+                break;
+            case 'array':
+                if (value !== undefined && value !== null) return { ok: true, value: [value] };
+                break;
+        }
+        
+        return { ok: false };
+    }
+    
+    function validateValue(schema, value, path, errors) {
+        if (!schema || typeof schema !== 'object') return value;
+        
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const match = types.map(type => coerce(value, type)).find(result => result.ok);
+            if (!match) {
+                errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+                return value;
+            }
+            value = match.value;
+        }
+        
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path, message: `must be one of: ${schema.enum.map(entry => JSON.stringify(entry)).join(', ')}` });
+        }
+        
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path, message: `must be >= ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path, message: `must be <= ${schema.maximum}` });
+            }
+        }
+        
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+            }
+        }
+        
+        if (Array.isArray(value) && schema.items) {
+            value = value.map((item, index) => validateValue(schema.items, item, `${path}[${index}]`, errors));
+        }
+        
+        if (typeOf(value) === 'object' && (schema.properties || schema.required)) {
+            value = validateObject(schema, value, path, errors);
+        }
+        
+        return value;
+    }
+    
+    function validateObject(schema, value, path, errors) {
+        const properties = schema.properties || {};
+        const result = {};
+        
+        for (const [key, propertyValue] of Object.entries(value)) {
+            const propertyPath = path ? `${path}.${key}` : key;
+            if (properties[key]) {
+                result[key] = validateValue(properties[key], propertyValue, propertyPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: propertyPath, message: 'is not an allowed property' });
+            } else {
+                result[key] = propertyValue;
+            }
+        }
+        
+        for (const [key, propertySchema] of Object.entries(properties)) {
+            if (result[key] === undefined && propertySchema.default !== undefined) {
+                result[key] = propertySchema.default;
+            }
+        }
+        
+        (schema.required || []).forEach(key => {
+            if (result[key] === undefined || result[key] === null) {
+                errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Validate a value against a schema, applying defaults and coercions.
+     * Returns { valid, value, errors: [{ path, message }] }.
+     */
+    function validate(schema, value) {
+        const errors = [];
+        const result = validateValue(schema, value, '', errors);
+        return { valid: errors.length === 0, value: result, errors };
+    }
+    
+    /**
+     * Parse and validate raw tool-call arguments against a tool's `parameters` schema.
+     * Returns { valid, value, errors, repaired }.
+     */
+    function validateArguments(schema, text) {
+        const parsed = parseArguments(text);
+        if (!parsed.ok) {
+            return { valid: false, value: null, errors: [{ path: '', message: parsed.error }], repaired: false };
+        }
+        return { ...validate(schema, parsed.value), repaired: parsed.repaired };
+    }
+    
+    return {
+        parseArguments,
+        validate,
+        validateArguments
+    };
+});
@@ -0,0 +1,40 @@
+const axios = require('axios');
+
+// Brave Search API; the key comes from the config panel or BRAVE_SEARCH_API_KEY
+const stripTags = (html) => String(html || '').replace(/<[^>]*>/g, '');
+
+function getApiKey(credentials) {
+    return credentials.braveApiKey || process.env.BRAVE_SEARCH_API_KEY || '';
+}
+
+module.exports = {
+    id: 'brave',
+    name: 'Brave Search',
+    provenance: 'search-api',
+    credentials: ['braveApiKey'],
+    serverConfigured: () => Boolean(process.env.BRAVE_SEARCH_API_KEY),
+    timeout: 10000,
+    
+    isConfigured(credentials) {
+        return Boolean(getApiKey(credentials));
+    },
+    
+    async search({ query, numResults, credentials, signal }) {
+        const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
+            params: { q: query, count: numResults, safesearch: 'moderate' },
+            timeout: this.timeout,
+            signal,
+            headers: {
+                'Accept': 'application/json',
+                'X-Subscription-Token': getApiKey(credentials)
+            }
+        });
+        
+        return (response.data.web?.results || []).map(item => ({
+            title: stripTags(item.title),
+            link: item.url,
+            snippet: stripTags(item.description),
+            displayLink: item.meta_url?.hostname
+        }));
+    }
+};
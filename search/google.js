@@ -0,0 +1,68 @@
+const axios = require('axios');
+const logger = require('../logger');
+
+// Google Custom Search JSON API; the key and engine ID come from the config panel
+module.exports = {
+    id: 'google',
+    name: 'Google Custom Search',
+    provenance: 'search-api',
+    credentials: ['googleSearchKey', 'searchEngineId'],
+    timeout: 15000,
+    
+    isConfigured(credentials) {
+        return Boolean(credentials.googleSearchKey && credentials.searchEngineId && credentials.googleSearchKey.length > 20);
+    },
+    
+    async search({ query, numResults, credentials, signal }) {
+        const { googleSearchKey: apiKey, searchEngineId } = credentials;
+        const url = 'https://www.googleapis.com/customsearch/v1';
+        
+        // Validate inputs
+        if (!apiKey.startsWith('AIza') || apiKey.length !== 39) {
+            throw new Error('Invalid Google API key format');
+        }
+        
+        if (!searchEngineId || searchEngineId.length < 10) {
+            throw new Error('Invalid Search Engine ID format');
+        }
+        
+        const params = {
+            key: apiKey,
+            cx: searchEngineId,
+            q: query,
+            num: Math.min(numResults, 10),
+            safe: 'active'
+        };
+        
+        logger.debug('Google API request', {
+            url,
+            query: query.substring(0, 50),
+            engineId: searchEngineId.substring(0, 10) + '...'
+        });
+        
+        const response = await axios.get(url, {
+            params,
+            timeout: this.timeout,
+            signal,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (compatible; AgentFlow/1.0)',
+                'Accept': 'application/json',
+                'Accept-Language': 'en-US,en;q=0.9',
+                'Referer': 'https://cse.google.com/'
+            }
+        });
+        
+        logger.debug('Google API response', {
+            status: response.status,
+            hasItems: !!response.data.items,
+            itemCount: response.data.items?.length || 0
+        });
+        
+        return (response.data.items || []).map(item => ({
+            title: item.title,
+            link: item.link,
+            snippet: item.snippet,
+            displayLink: item.displayLink
+        }));
+    }
+};
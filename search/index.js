@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+// Web search shared by the google_search tool and POST /api/search
+// Every .js file in this directory (other than this one) exports a search backend:
+//   id, name
+//   provenance: where its results come from, one of PROVENANCE; a result may override it
+//   credentials: names of the request credentials it uses (sent from the config panel)
+//   isConfigured(credentials) -> boolean; unconfigured backends are skipped
+//   search({ query, numResults, credentials, signal }) -> [{ title, link, snippet, displayLink, provenance? }]
+// Optional: serverConfigured() -> boolean, true when server settings (environment variables)
+//   are enough and the UI needs no credentials; timeout (ms)
+
+const REQUIRED_FIELDS = ['id', 'name', 'provenance', 'isConfigured', 'search'];
+// search-api: a live web search API; wikipedia: Wikipedia search; local-index: documents in
+// SEARCH_INDEX_DIR; knowledge-base: curated offline notes; synthetic: placeholder links built
+// from the query, which are not evidence of anything
+const PROVENANCE = ['search-api', 'wikipedia', 'local-index', 'knowledge-base', 'synthetic'];
+// Used when the request names no backends; the knowledge base always answers, so it comes last
+const DEFAULT_ORDER = ['google', 'wikipedia', 'knowledge-base'];
+
+// Memory management
+const searchCache = new Map();
+const MAX_CACHE_SIZE = 100;
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_RESULTS = 10;
+const MAX_QUERY_LENGTH = 200;
+
+const registry = new Map();
+
+// Cache cleanup
+function cleanCache() {
+    const now = Date.now();
+    for (const [key, value] of searchCache.entries()) {
+        if (now - value.timestamp > CACHE_TTL) {
+            searchCache.delete(key);
+        }
+    }
+    
+    if (searchCache.size > MAX_CACHE_SIZE) {
+        const entries = Array.from(searchCache.entries())
+            .sort(([,a], [,b]) => a.timestamp - b.timestamp);
+        
+        const toRemove = entries.slice(0, entries.length - MAX_CACHE_SIZE);
+        toRemove.forEach(([key]) => searchCache.delete(key));
+    }
+}
+
+// Search backends, tried in the order the user chose. A backend that is not configured,
+// fails or returns nothing is skipped; the first one with real results answers the query.
+// Placeholder-only (synthetic) results are kept as a last resort while later backends are
+// tried, and returned only when none of them finds anything.
+// Callers validate that query is a non-empty string.
+async function search({ query, numResults = 5, backends, credentials = {}, signal }) {
+    query = query.trim().substring(0, MAX_QUERY_LENGTH);
+    const num_results = Math.min(Math.max(parseInt(numResults) || 5, 1), MAX_RESULTS);
+    const order = resolveOrder(backends);
+    
+    // Check cache first; the key covers which backends are usable with these credentials
+    const usable = order.filter(id => registry.get(id).isConfigured(credentials));
+    const cacheKey = `${usable.join(',')}_${query.toLowerCase()}_${num_results}`;
+    cleanCache();
+    
+    const cached = searchCache.get(cacheKey);
+    if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
+        logger.info('Returning cached search results');
+        return { ...cached.data, cached: true };
+    }
+    
+    logger.info('Search request', { 
+        query: query.substring(0, 50), 
+        num_results,
+        backends: order,
+        cacheSize: searchCache.size
+    });
+    
+    const attempts = [];
+    let placeholders = null;
+    for (const id of order) {
+        const backend = registry.get(id);
+        if (!backend.isConfigured(credentials)) {
+            attempts.push({ backend: id, status: 'skipped', reason: 'not configured' });
+            continue;
+        }
+        
+        try {
+            const results = (await backend.search({ query, numResults: num_results, credentials, signal }))
+                .slice(0, num_results)
+                .map(item => normalizeResult(item, backend));
+            
+            if (results.length === 0) {
+                attempts.push({ backend: id, status: 'empty' });
+                continue;
+            }
+            
+            if (results.every(result => result.provenance === 'synthetic')) {
+                attempts.push({ backend: id, status: 'placeholders', count: results.length });
+                placeholders = placeholders || { results, backend };
+                continue;
+            }
+            
+            attempts.push({ backend: id, status: 'ok', count: results.length });
+            const data = buildResponse(query, results, backend, attempts);
+            
+            // Cache successful results
+            searchCache.set(cacheKey, {
+                data,
+                timestamp: Date.now()
+            });
+            
+            logger.info('Search backend success', { backend: id, resultCount: results.length });
+            return data;
+            
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            
+            logger.warn('Search backend failed, trying next', { 
+                backend: id,
+                error: error.message,
+                status: error.response?.status
+            });
+            attempts.push({ backend: id, status: 'failed', reason: error.message.substring(0, 200) });
+        }
+    }
+    
+    if (placeholders) {
+        logger.info('Search found only placeholder results', { backend: placeholders.backend.id });
+        return {
+            ...buildResponse(query, placeholders.results, placeholders.backend, attempts),
+            note: 'No search backend found real results; these are placeholder links'
+        };
+    }
+    
+    return {
+        query,
+        results: [],
+        source: 'None',
+        backend: null,
+        attempts,
+        totalResults: 0,
+        timestamp: new Date().toISOString(),
+        note: 'No search backend returned results'
+    };
+}
+
+function buildResponse(query, results, backend, attempts) {
+    return {
+        query,
+        results,
+        source: backend.name,
+        backend: backend.id,
+        attempts,
+        totalResults: results.length,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Unknown ids are dropped; an empty order falls back to the default chain
+function resolveOrder(backends) {
+    const order = (Array.isArray(backends) ? backends : [])
+        .filter((id, index, list) => registry.has(id) && list.indexOf(id) === index);
+    return order.length > 0 ? order : DEFAULT_ORDER.filter(id => registry.has(id));
+}
+
+function normalizeResult(item, backend) {
+    const link = item.link || '#';
+    return {
+        title: String(item.title || 'No title').substring(0, 150),
+        link,
+        snippet: String(item.snippet || 'No description available').substring(0, 300),
+        displayLink: item.displayLink || extractDomain(link),
+        backend: backend.id,
+        provenance: PROVENANCE.includes(item.provenance) ? item.provenance : backend.provenance
+    };
+}
+
+// Last-resort result when search itself throws
+function getEmergencyResults(query) {
+    return {
+        query: query || 'search',
+        results: [{
+            title: `${query || 'Search'} - Wikipedia`,
+            link: `https://en.wikipedia.org/wiki/${encodeURIComponent(query || 'search')}`,
+            snippet: `Information about ${query || 'your search'} from Wikipedia.`,
+            displayLink: "en.wikipedia.org",
+            backend: 'emergency',
+            provenance: 'synthetic'
+        }],
+        source: 'Emergency Fallback',
+        backend: 'emergency',
+        totalResults: 1,
+        timestamp: new Date().toISOString(),
+        note: 'Search service temporarily unavailable'
+    };
+}
+
+// Utility function
+function extractDomain(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return 'unknown';
+    }
+}
+
+function loadBackends(directory = __dirname) {
+    const files = fs.readdirSync(directory)
+        .filter(file => file.endsWith('.js') && file !== 'index.js')
+        .sort();
+    
+    for (const file of files) {
+        const backend = require(path.join(directory, file));
+        const missing = REQUIRED_FIELDS.filter(field => backend[field] === undefined);
+        
+        if (missing.length > 0) {
+            logger.warn('Skipping invalid search backend', { file, missing });
+            continue;
+        }
+        if (!PROVENANCE.includes(backend.provenance)) {
+            logger.warn('Skipping search backend with unknown provenance', { file, provenance: backend.provenance });
+            continue;
+        }
+        
+        registry.set(backend.id, backend);
+    }
+    
+    return registry;
+}
+
+// Public description used by GET /api/search/backends to build the config panel
+function listBackends() {
+    return Array.from(registry.values()).map(backend => ({
+        id: backend.id,
+        name: backend.name,
+        provenance: backend.provenance,
+        credentials: backend.credentials || [],
+        serverConfigured: backend.serverConfigured ? backend.serverConfigured() : (backend.credentials || []).length === 0
+    }));
+}
+
+// Cache cleanup interval
+setInterval(() => {
+    cleanCache();
+    if (process.env.NODE_ENV === 'development') {
+        logger.debug('Cache cleaned', { size: searchCache.size });
+    }
+}, 120000).unref(); // Clean every 2 minutes
+
+function getCacheSize() {
+    return searchCache.size;
+}
+
+loadBackends();
+
+module.exports = {
+    MAX_RESULTS,
+    MAX_QUERY_LENGTH,
+    DEFAULT_ORDER,
+    PROVENANCE,
+    search,
+    listBackends,
+    getEmergencyResults,
+    getCacheSize
+};
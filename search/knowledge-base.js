@@ -0,0 +1,283 @@
+const logger = require('../logger');
+
+// Offline last resort: curated results for common topics, otherwise links to search pages
+// on well-known sites built from the query. Needs no network or credentials, so it always
+// returns something. The generated links are placeholders, not search hits, and are marked
+// 'synthetic' so the page can keep them away from the model.
+
+// Curated results for common topics
+function getKnowledgeBaseResults(query, numResults) {
+    const queryLower = query.toLowerCase();
+    
+    // Enhanced knowledge base
+    const knowledgeBase = {
+        'openai': [
+            {
+                title: "OpenAI - Artificial Intelligence Research",
+                link: "https://openai.com",
+                snippet: "OpenAI is an AI research and deployment company dedicated to ensuring artificial general intelligence benefits all humanity.",
+                displayLink: "openai.com"
+            },
+            {
+                title: "OpenAI API Platform",
+                link: "https://platform.openai.com",
+                snippet: "Build with OpenAI's powerful AI models including GPT-4, DALL·E, and Whisper through their developer platform.",
+                displayLink: "platform.openai.com"
+            },
+            {
+                title: "ChatGPT by OpenAI",
+                link: "https://chat.openai.com",
+                snippet: "ChatGPT is a conversational AI assistant that can help with writing, analysis, coding, math, and creative tasks.",
+                displayLink: "chat.openai.com"
+            }
+        ],
+        
+        'ibm': [
+            {
+                title: "IBM - Leading Enterprise AI and Cloud Solutions",
+                link: "https://www.ibm.com",
+                snippet: "IBM provides enterprise AI, cloud computing, and data solutions including Watson AI, Red Hat, and hybrid cloud technologies.",
+                displayLink: "www.ibm.com"
+            },
+            {
+                title: "IBM Watson AI Platform",
+                link: "https://www.ibm.com/watson",
+                snippet: "IBM Watson delivers AI solutions for business with machine learning, natural language processing, and automated insights.",
+                displayLink: "www.ibm.com"
+            },
+            {
+                title: "IBM Cloud - Hybrid Multi-Cloud Platform",
+                link: "https://www.ibm.com/cloud",
+                snippet: "Enterprise-grade cloud platform with AI services, Red Hat OpenShift, and industry-specific solutions for digital transformation.",
+                displayLink: "www.ibm.com"
+            }
+        ],
+        
+        'google': [
+            {
+                title: "Google - Search, AI, and Cloud Technologies",
+                link: "https://www.google.com",
+                snippet: "Google's mission is to organize the world's information and make it universally accessible through search, AI, and cloud services.",
+                displayLink: "www.google.com"
+            },
+            {
+                title: "Google Cloud Platform",
+                link: "https://cloud.google.com",
+                snippet: "Google Cloud provides scalable cloud computing services with AI/ML capabilities, data analytics, and enterprise infrastructure.",
+                displayLink: "cloud.google.com"
+            },
+            {
+                title: "Google AI and Research",
+                link: "https://ai.google",
+                snippet: "Google AI advances the state of artificial intelligence through research in machine learning, computer vision, and natural language processing.",
+                displayLink: "ai.google"
+            }
+        ],
+        
+        'microsoft': [
+            {
+                title: "Microsoft - Cloud, Productivity and AI Solutions",
+                link: "https://www.microsoft.com",
+                snippet: "Microsoft empowers organizations with cloud computing, productivity tools, AI services, and enterprise software solutions.",
+                displayLink: "www.microsoft.com"
+            },
+            {
+                title: "Microsoft Azure Cloud Platform",
+                link: "https://azure.microsoft.com",
+                snippet: "Azure provides comprehensive cloud services including AI, machine learning, databases, and enterprise applications.",
+                displayLink: "azure.microsoft.com"
+            },
+            {
+                title: "Microsoft 365 Productivity Suite",
+                link: "https://www.microsoft.com/microsoft-365",
+                snippet: "Microsoft 365 combines Office applications, cloud services, and AI-powered productivity tools for modern work.",
+                displayLink: "www.microsoft.com"
+            }
+        ],
+        
+        'artificial intelligence': [
+            {
+                title: "What is Artificial Intelligence? - Comprehensive Guide",
+                link: "https://www.ibm.com/topics/artificial-intelligence",
+                snippet: "Artificial intelligence enables computers and machines to mimic human problem-solving and decision-making capabilities through advanced algorithms.",
+                displayLink: "www.ibm.com"
+            },
+            {
+                title: "AI Research and News - MIT Technology Review",
+                link: "https://www.technologyreview.com/topic/artificial-intelligence/",
+                snippet: "Latest breakthroughs in AI research, machine learning applications, and the impact of artificial intelligence on society and industry.",
+                displayLink: "www.technologyreview.com"
+            },
+            {
+                title: "Stanford AI Research Institute",
+                link: "https://hai.stanford.edu",
+                snippet: "Stanford's Human-Centered AI Institute advances AI research, education, and policy to improve human welfare and society.",
+                displayLink: "hai.stanford.edu"
+            }
+        ],
+        
+        'machine learning': [
+            {
+                title: "Machine Learning Course - Stanford University",
+                link: "https://www.coursera.org/learn/machine-learning",
+                snippet: "Learn machine learning fundamentals from Andrew Ng covering algorithms, neural networks, and practical implementation techniques.",
+                displayLink: "www.coursera.org"
+            },
+            {
+                title: "Machine Learning Documentation - Google",
+                link: "https://developers.google.com/machine-learning",
+                snippet: "Google's comprehensive machine learning guides, tutorials, and tools including TensorFlow and cloud ML services.",
+                displayLink: "developers.google.com"
+            },
+            {
+                title: "Scikit-learn Machine Learning Library",
+                link: "https://scikit-learn.org",
+                snippet: "Open-source machine learning library for Python featuring classification, regression, clustering, and dimensionality reduction algorithms.",
+                displayLink: "scikit-learn.org"
+            }
+        ],
+        
+        'python': [
+            {
+                title: "Python.org - Official Python Programming Language",
+                link: "https://www.python.org",
+                snippet: "Python is a powerful, versatile programming language perfect for beginners and professionals in web development, data science, and AI.",
+                displayLink: "www.python.org"
+            },
+            {
+                title: "Python Tutorial - Official Documentation",
+                link: "https://docs.python.org/3/tutorial/",
+                snippet: "Official Python tutorial covering language basics, data structures, modules, classes, and standard library functionality.",
+                displayLink: "docs.python.org"
+            },
+            {
+                title: "Real Python - Python Programming Tutorials",
+                link: "https://realpython.com",
+                snippet: "In-depth Python tutorials, courses, and articles covering web development, data science, machine learning, and best practices.",
+                displayLink: "realpython.com"
+            }
+        ],
+        
+        'javascript': [
+            {
+                title: "JavaScript - MDN Web Docs",
+                link: "https://developer.mozilla.org/en-US/docs/Web/JavaScript",
+                snippet: "Comprehensive JavaScript documentation covering language fundamentals, APIs, and modern web development techniques.",
+                displayLink: "developer.mozilla.org"
+            },
+            {
+                title: "Node.js - JavaScript Runtime",
+                link: "https://nodejs.org",
+                snippet: "Node.js enables server-side JavaScript development with a rich ecosystem of packages for building scalable applications.",
+                displayLink: "nodejs.org"
+            },
+            {
+                title: "JavaScript.info - Modern JavaScript Tutorial",
+                link: "https://javascript.info",
+                snippet: "Modern JavaScript tutorial covering ES6+, async programming, DOM manipulation, and advanced programming concepts.",
+                displayLink: "javascript.info"
+            }
+        ]
+    };
+    
+    // Check knowledge base for matches
+    for (const [topic, results] of Object.entries(knowledgeBase)) {
+        if (queryLower.includes(topic) || topic.includes(queryLower)) {
+            logger.info('Found knowledge base match', { topic, resultCount: results.length });
+            return results.slice(0, numResults).map(result => ({ ...result, provenance: 'knowledge-base' }));
+        }
+    }
+    
+    return null;
+}
+
+// Generate contextual results based on query
+function generateContextualResults(query, numResults) {
+    const queryLower = query.toLowerCase();
+    const results = [];
+    
+    // Always include Wikipedia
+    results.push({
+        title: `${query} - Wikipedia Encyclopedia`,
+        link: `https://en.wikipedia.org/wiki/${encodeURIComponent(query.replace(/\s+/g, '_'))}`,
+        snippet: `Wikipedia article about ${query}. Comprehensive encyclopedia entry with detailed information and reliable references.`,
+        displayLink: "en.wikipedia.org"
+    });
+    
+    // Context-specific results
+    if (queryLower.includes('code') || queryLower.includes('programming') || queryLower.includes('tutorial')) {
+        results.push({
+            title: `${query} - Stack Overflow Programming Q&A`,
+            link: `https://stackoverflow.com/search?q=${encodeURIComponent(query)}`,
+            snippet: `Programming questions, solutions, and code examples related to ${query} from the developer community.`,
+            displayLink: "stackoverflow.com"
+        });
+        
+        results.push({
+            title: `${query} - GitHub Code Repositories`,
+            link: `https://github.com/search?q=${encodeURIComponent(query)}`,
+            snippet: `Open source code repositories and projects related to ${query}. Browse implementations and contribute to projects.`,
+            displayLink: "github.com"
+        });
+    }
+    
+    if (queryLower.includes('news') || queryLower.includes('latest') || queryLower.includes('recent')) {
+        results.push({
+            title: `Latest News: ${query} - Google News`,
+            link: `https://news.google.com/search?q=${encodeURIComponent(query)}`,
+            snippet: `Breaking news, recent developments, and current updates about ${query} from trusted news sources worldwide.`,
+            displayLink: "news.google.com"
+        });
+    }
+    
+    if (queryLower.includes('learn') || queryLower.includes('course') || queryLower.includes('tutorial')) {
+        results.push({
+            title: `${query} - Online Courses and Learning`,
+            link: `https://www.coursera.org/search?query=${encodeURIComponent(query)}`,
+            snippet: `Online courses, tutorials, and educational content about ${query} from top universities and institutions.`,
+            displayLink: "www.coursera.org"
+        });
+    }
+    
+    if (queryLower.includes('video') || queryLower.includes('how to')) {
+        results.push({
+            title: `${query} - YouTube Videos and Tutorials`,
+            link: `https://www.youtube.com/results?search_query=${encodeURIComponent(query)}`,
+            snippet: `Educational videos, tutorials, and demonstrations about ${query} from content creators and experts.`,
+            displayLink: "www.youtube.com"
+        });
+    }
+    
+    // Add academic search
+    results.push({
+        title: `${query} - Google Scholar Academic Papers`,
+        link: `https://scholar.google.com/scholar?q=${encodeURIComponent(query)}`,
+        snippet: `Scholarly articles, research papers, and academic studies about ${query} from universities and research institutions.`,
+        displayLink: "scholar.google.com"
+    });
+    
+    // Add general search
+    results.push({
+        title: `${query} - Google Search Results`,
+        link: `https://www.google.com/search?q=${encodeURIComponent(query)}`,
+        snippet: `Comprehensive search results for ${query} including websites, news, images, and related information.`,
+        displayLink: "www.google.com"
+    });
+    
+    return results.slice(0, numResults).map(result => ({ ...result, provenance: 'synthetic' }));
+}
+
+module.exports = {
+    id: 'knowledge-base',
+    name: 'Knowledge Base',
+    provenance: 'knowledge-base',
+    credentials: [],
+    
+    isConfigured() {
+        return true;
+    },
+    
+    async search({ query, numResults }) {
+        return getKnowledgeBaseResults(query, numResults) || generateContextualResults(query, numResults);
+    }
+};
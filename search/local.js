@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+// Full-text search over local documents in SEARCH_INDEX_DIR (.md, .txt, .html).
+// The index is built in the background at startup and rebuilt when it is older than
+// INDEX_TTL; an expired index keeps answering while its replacement is built.
+// SEARCH_INDEX_BASE_URL, when set, turns file paths into links (e.g. a docs site).
+
+const EXTENSIONS = ['.md', '.markdown', '.txt', '.html', '.htm'];
+const MAX_FILES = 2000;
+const MAX_FILE_BYTES = 1024 * 1024;
+const INDEX_TTL = 5 * 60 * 1000; // 5 minutes
+const SNIPPET_LENGTH = 300;
+
+let index = null;
+let building = null; // In-flight build, shared by concurrent searches
+
+function getDirectory() {
+    return process.env.SEARCH_INDEX_DIR ? path.resolve(process.env.SEARCH_INDEX_DIR) : '';
+}
+
+function tokenize(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+}
+
+async function listFiles(directory, files = []) {
+    for (const entry of await fs.promises.readdir(directory, { withFileTypes: true })) {
+        if (files.length >= MAX_FILES) break;
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+        
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            await listFiles(fullPath, files);
+        } else if (EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+async function readDocument(directory, file) {
+    if ((await fs.promises.stat(file)).size > MAX_FILE_BYTES) return null;
+    
+    const raw = await fs.promises.readFile(file, 'utf8');
+    const isHtml = /\.html?$/i.test(file);
+    const heading = isHtml ? raw.match(/<title[^>]*>([^<]+)<\/title>/i) : raw.match(/^#\s+(.+)$/m);
+    const text = (isHtml ? raw.replace(/<(script|style|title)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]*>/g, ' ') : raw)
+        .replace(/\s+/g, ' ')
+        .trim();
+        
+    const relativePath = path.relative(directory, file).split(path.sep).join('/');
+    const terms = new Map();
+    tokenize(text).forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+    
+    return {
+        path: relativePath,
+        title: heading ? heading[1].trim().substring(0, 150) : path.basename(file),
+        text,
+        terms,
+        length: text.length
+    };
+}
+
+// Files are read one at a time, so a large directory does not hold the event loop or
+// open thousands of files at once
+async function buildIndex(directory) {
+    const started = Date.now();
+    const documents = [];
+    for (const file of await listFiles(directory)) {
+        try {
+            const document = await readDocument(directory, file);
+            if (document) documents.push(document);
+        } catch (error) {
+            logger.debug('Skipping unreadable file', { file, error: error.message });
+        }
+    }
+        
+    // Document frequency per term, for inverse-document-frequency weighting
+    const documentFrequency = new Map();
+    documents.forEach(document => document.terms.forEach((count, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+    
+    logger.info('Local search index built', { directory, documents: documents.length, ms: Date.now() - started });
+    return { directory, documents, documentFrequency, builtAt: Date.now() };
+}
+
+function getIndex() {
+    const directory = getDirectory();
+    const current = index && index.directory === directory ? index : null;
+    if (current && Date.now() - current.builtAt <= INDEX_TTL) return Promise.resolve(current);
+    
+    if (!building || building.directory !== directory) {
+        const build = buildIndex(directory)
+            .then(built => {
+                index = built;
+                return built;
+            })
+            .finally(() => {
+                if (building === build) building = null;
+            });
+        build.directory = directory;
+        building = build;
+    }
+    
+    if (current) {
+        building.catch(error => logger.warn('Local search index rebuild failed', { directory, error: error.message }));
+        return Promise.resolve(current);
+    }
+    return building;
+}
+
+function makeSnippet(text, queryTerms) {
+    const lower = text.toLowerCase();
+    const positions = queryTerms.map(term => lower.indexOf(term)).filter(position => position >= 0);
+    const start = Math.max(0, (positions.length > 0 ? Math.min(...positions) : 0) - 60);
+    return (start > 0 ? '...' : '') + text.substring(start, start + SNIPPET_LENGTH);
+}
+
+function makeLink(relativePath) {
+    const baseUrl = process.env.SEARCH_INDEX_BASE_URL;
+    return baseUrl ? `${baseUrl.replace(/\/+$/, '')}/${relativePath.split('/').map(encodeURIComponent).join('/')}` : `local:${relativePath}`;
+}
+
+module.exports = {
+    id: 'local',
+    name: 'Local Index',
+    provenance: 'local-index',
+    credentials: [],
+    serverConfigured: () => Boolean(getDirectory()),
+    
+    isConfigured() {
+        return Boolean(getDirectory());
+    },
+    
+    async search({ query, numResults }) {
+        const { documents, documentFrequency } = await getIndex();
+        const queryTerms = [...new Set(tokenize(query))];
+        
+        return documents
+            .map(document => {
+                // TF-IDF with a length penalty so long files do not win on volume alone
+                const score = queryTerms.reduce((total, term) => {
+                    const count = document.terms.get(term);
+                    if (!count) return total;
+                    const idf = Math.log(1 + documents.length / documentFrequency.get(term));
+                    return total + (1 + Math.log(count)) * idf;
+                }, 0) / Math.log(10 + document.length / 1000);
+                return { document, score };
+            })
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, numResults)
+            .map(({ document }) => ({
+                title: document.title,
+                link: makeLink(document.path),
+                snippet: makeSnippet(document.text, queryTerms),
+                displayLink: document.path
+            }));
+    }
+};
+
+if (getDirectory()) {
+    getIndex().catch(error => logger.warn('Local search index could not be built', { directory: getDirectory(), error: error.message }));
+}
@@ -0,0 +1,36 @@
+const axios = require('axios');
+
+// Self-hosted SearxNG instance at SEARXNG_URL (the instance must allow format=json).
+// The URL is server configuration only, so the browser cannot point the backend elsewhere.
+function getBaseUrl() {
+    return (process.env.SEARXNG_URL || '').replace(/\/+$/, '');
+}
+
+module.exports = {
+    id: 'searxng',
+    name: 'SearXNG',
+    provenance: 'search-api',
+    credentials: [],
+    serverConfigured: () => Boolean(getBaseUrl()),
+    timeout: 10000,
+    
+    isConfigured() {
+        return Boolean(getBaseUrl());
+    },
+    
+    async search({ query, numResults, signal }) {
+        const response = await axios.get(`${getBaseUrl()}/search`, {
+            params: { q: query, format: 'json', safesearch: 1 },
+            timeout: this.timeout,
+            signal,
+            headers: { 'Accept': 'application/json' }
+        });
+        
+        return (response.data.results || []).slice(0, numResults).map(item => ({
+            title: item.title,
+            link: item.url,
+            snippet: item.content,
+            displayLink: item.parsed_url?.[1]
+        }));
+    }
+};
@@ -0,0 +1,35 @@
+const axios = require('axios');
+
+// Wikipedia full-text search (REST API); needs no key
+const stripTags = (html) => String(html || '').replace(/<[^>]*>/g, '').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+
+module.exports = {
+    id: 'wikipedia',
+    name: 'Wikipedia',
+    provenance: 'wikipedia',
+    credentials: [],
+    timeout: 5000,
+    
+    isConfigured() {
+        return true;
+    },
+    
+    async search({ query, numResults, signal }) {
+        const response = await axios.get('https://en.wikipedia.org/w/rest.php/v1/search/page', {
+            params: { q: query, limit: numResults },
+            timeout: this.timeout,
+            signal,
+            headers: {
+                'User-Agent': 'AgentFlow/1.0 (https://github.com/agentflow)',
+                'Accept': 'application/json'
+            }
+        });
+        
+        return (response.data.pages || []).map(page => ({
+            title: `${page.title} - Wikipedia`,
+            link: `https://en.wikipedia.org/wiki/${encodeURIComponent(page.key)}`,
+            snippet: [page.description, stripTags(page.excerpt)].filter(Boolean).join(': '),
+            displayLink: 'en.wikipedia.org'
+        }));
+    }
+};
@@ -0,0 +1,79 @@
+const providers = require('./providers');
+
+// Rolling conversation summaries
+// Older turns are folded into a running summary so long sessions keep their early
+// context. The selected provider writes the summary; demo mode uses a local extractive one.
+
+const SUMMARY_MAX_CHARS = 4000;
+const TRANSCRIPT_MAX_CHARS = 24000;
+
+const SUMMARY_INSTRUCTIONS = `You maintain a running summary of a conversation between a user and an AI assistant that can search the web, run AI workflows and execute JavaScript.
+Merge the previous summary with the new messages into one updated summary.
+Keep facts, decisions, user preferences, open questions and key tool findings (with sources).
+Write plain prose or short bullet points, under 250 words. Output only the summary.`;
+
+function formatTranscript(messages) {
+    const lines = messages.map(msg => {
+        if (msg.role === 'tool') {
+            return `Tool result: ${String(msg.content || '').substring(0, 1000)}`;
+        }
+        
+        const calls = (msg.tool_calls || [])
+            .map(tc => `${tc.function.name}(${String(tc.function.arguments || '').substring(0, 200)})`)
+            .join(', ');
+        const text = String(msg.content || '').substring(0, 2000);
+        const label = msg.role === 'assistant' ? 'Assistant' : 'User';
+        
+        return calls ? `${label}: ${text} [called ${calls}]` : `${label}: ${text}`;
+    });
+    
+    return lines.join('\n').substring(0, TRANSCRIPT_MAX_CHARS);
+}
+
+async function summarizeWithProvider({ provider, model, apiKey, providerOptions, messages, previousSummary }) {
+    const prompt = [
+        previousSummary ? `Previous summary:\n${previousSummary}` : 'Previous summary: (none)',
+        `New messages:\n${formatTranscript(messages)}`
+    ].join('\n\n');
+    
+    const response = await providers.callProvider(provider, {
+        model,
+        apiKey,
+        options: providerOptions,
+        messages: [
+            { role: 'system', content: SUMMARY_INSTRUCTIONS },
+            { role: 'user', content: prompt }
+        ]
+    });
+    
+    return (response.content || '').trim().substring(0, SUMMARY_MAX_CHARS);
+}
+
+// Demo mode: keep the first sentence of every turn, newest last
+function summarizeLocally({ messages, previousSummary }) {
+    const firstSentence = (text) => {
+        const clean = String(text || '').replace(/\s+/g, ' ').trim();
+        const match = clean.match(/^.*?[.!?](\s|$)/);
+        return (match ? match[0] : clean).substring(0, 200).trim();
+    };
+    
+    const points = [];
+    for (const msg of messages) {
+        if (msg.role === 'user' && msg.content) {
+            points.push(`- User: ${firstSentence(msg.content)}`);
+        } else if (msg.role === 'assistant') {
+            (msg.tool_calls || []).forEach(tc => points.push(`- Assistant used ${tc.function.name}`));
+            if (msg.content) points.push(`- Assistant: ${firstSentence(msg.content)}`);
+        }
+    }
+    
+    const summary = [previousSummary, points.join('\n')].filter(Boolean).join('\n');
+    // Keep the most recent points when the running summary grows too long
+    return summary.length > SUMMARY_MAX_CHARS ? summary.slice(-SUMMARY_MAX_CHARS) : summary;
+}
+
+module.exports = {
+    formatTranscript,
+    summarizeWithProvider,
+    summarizeLocally
+};
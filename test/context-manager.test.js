@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ContextManager = require('../context-manager');
+
+function toolCall(id, name = 'lookup') {
+    return { id, type: 'function', function: { name, arguments: '{"q":"x"}' } };
+}
+
+// One question answered through a tool: user, assistant tool call, tool result, final answer
+function round(n, size = 400) {
+    return [
+        { role: 'user', content: `Question ${n} ` + 'q'.repeat(size) },
+        { role: 'assistant', content: '', tool_calls: [toolCall(`call_${n}`)] },
+        { role: 'tool', tool_call_id: `call_${n}`, content: `Result ${n} ` + 'r'.repeat(size) },
+        { role: 'assistant', content: `Answer ${n}` }
+    ];
+}
+
+test('token estimates count non-ASCII characters as a token each', () => {
+    assert.strictEqual(ContextManager.estimateTokens(''), 0);
+    assert.strictEqual(ContextManager.estimateTokens('abcdefgh'), 2);
+    assert.strictEqual(ContextManager.estimateTokens('abcdefg', 'claude-sonnet-4-20250514'), 2);
+    assert.strictEqual(ContextManager.estimateTokens('日本語のテキスト'), 8);
+    assert.strictEqual(ContextManager.estimateTokens('abcd日本'), 3);
+});
+
+test('tool results stay with their assistant message and orphans are dropped', () => {
+    const units = ContextManager.groupMessages([
+        { role: 'tool', tool_call_id: 'call_orphan', content: 'no caller' },
+        { role: 'user', content: 'Look two things up' },
+        { role: 'assistant', content: '', tool_calls: [toolCall('call_a'), toolCall('call_b')] },
+        { role: 'tool', tool_call_id: 'call_a', content: 'A' },
+        { role: 'tool', tool_call_id: 'call_b', content: 'B' },
+        { role: 'user', content: 'And again' },
+        { role: 'tool', tool_call_id: 'call_a', content: 'late duplicate' }
+    ]);
+    
+    assert.deepStrictEqual(units.map(unit => unit.messages.map(message => message.role)), [
+        ['user'],
+        ['assistant', 'tool', 'tool'],
+        ['user']
+    ]);
+    assert.deepStrictEqual(units[1].messages.slice(1).map(message => message.content), ['A', 'B']);
+});
+
+test('tool calls without a result are removed from the assistant message', () => {
+    const units = ContextManager.groupMessages([
+        { role: 'user', content: 'Go' },
+        { role: 'assistant', content: 'Trying both', tool_calls: [toolCall('call_a'), toolCall('call_b')] },
+        { role: 'tool', tool_call_id: 'call_b', content: 'B' },
+        { role: 'user', content: 'Next' },
+        { role: 'assistant', content: '', tool_calls: [toolCall('call_c')] }
+    ]);
+    
+    // The answered call survives; an empty assistant message with no answered calls is dropped
+    assert.strictEqual(units.length, 3);
+    assert.deepStrictEqual(units[1].messages[0].tool_calls.map(tc => tc.id), ['call_b']);
+    assert.strictEqual(units[1].messages[0].content, 'Trying both');
+    assert.deepStrictEqual(units[2].messages, [{ role: 'user', content: 'Next' }]);
+    
+    const unanswered = ContextManager.groupMessages([
+        { role: 'user', content: 'Go' },
+        { role: 'assistant', content: 'Will check', tool_calls: [toolCall('call_x')] }
+    ]);
+    assert.deepStrictEqual(unanswered[1].messages, [{ role: 'assistant', content: 'Will check' }]);
+});
+
+test('pruning keeps system messages and the newest rounds without splitting tool pairs', () => {
+    const messages = [
+        { role: 'system', content: 'You are helpful.' },
+        ...round(1), ...round(2), ...round(3), ...round(4)
+    ];
+    
+    const { messages: fitted, stats } = ContextManager.fitToBudget(messages, { budget: 600 });
+    
+    assert.strictEqual(fitted[0].role, 'system');
+    assert.strictEqual(fitted[1].role, 'user');
+    assert.ok(fitted.length < messages.length);
+    assert.strictEqual(stats.dropped, messages.length - fitted.length);
+    assert.ok(stats.tokens <= stats.budget);
+    assert.strictEqual(stats.tokens, ContextManager.countTokens(fitted));
+    assert.deepStrictEqual(fitted.slice(-4), round(4));
+    
+    // Every kept tool result still follows the assistant message that called it
+    fitted.forEach((message, index) => {
+        if (message.role !== 'tool') return;
+        const caller = fitted.slice(0, index).reverse().find(previous => previous.role !== 'tool');
+        assert.ok(caller.tool_calls.some(tc => tc.id === message.tool_call_id));
+    });
+});
+
+test('the budget leaves room for output and the estimate margin', () => {
+    const { stats } = ContextManager.fitToBudget([{ role: 'user', content: 'Hi' }], { budget: 100000, contextWindow: 12000 });
+    assert.strictEqual(stats.budget, 9000);
+    
+    const small = ContextManager.fitToBudget([{ role: 'user', content: 'Hi' }], { contextWindow: 2500 });
+    assert.strictEqual(small.stats.budget, 1000);
+});
+
+test('the latest message is kept and truncated when it alone exceeds the limits', () => {
+    const huge = 'x'.repeat(40000);
+    const { messages } = ContextManager.fitToBudget([
+        { role: 'user', content: 'old question' },
+        { role: 'assistant', content: 'old answer' },
+        { role: 'user', content: huge }
+    ], { budget: 300 });
+    
+    // Over budget on its own: everything older goes, the question itself is cut down
+    assert.strictEqual(messages.length, 1);
+    assert.ok(messages[0].content.startsWith('xxx'));
+    assert.ok(messages[0].content.endsWith('[... truncated to fit the context window]'));
+    assert.ok(ContextManager.estimateTokens(messages[0].content) <= 300);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeGeneration, DEFAULT_MAX_TOKENS } = require('../providers/shared/generation');
+const { ProviderError } = require('../providers/shared/errors');
+
+const gpt4o = { value: 'gpt-4o', contextWindow: 128000, maxOutputTokens: 16384 };
+const gpt5 = { value: 'gpt-5', contextWindow: 400000, maxOutputTokens: 128000, reasoning: true };
+
+function assertInvalid(raw, pattern) {
+    assert.throws(() => normalizeGeneration(raw, { modelInfo: gpt4o, provider: 'openai' }), error => {
+        assert.ok(error instanceof ProviderError);
+        assert.strictEqual(error.code, 'invalid_params');
+        assert.strictEqual(error.status, 400);
+        assert.strictEqual(error.provider, 'openai');
+        assert.match(error.message, pattern);
+        return true;
+    });
+}
+
+test('missing settings fall back to the default token limit', () => {
+    assert.deepStrictEqual(normalizeGeneration(undefined, { modelInfo: gpt4o }), { maxTokens: DEFAULT_MAX_TOKENS });
+    assert.deepStrictEqual(normalizeGeneration({ temperature: '', topP: null }), { maxTokens: DEFAULT_MAX_TOKENS });
+});
+
+test('numeric strings are accepted and stop sequences are normalized to a list', () => {
+    const generation = normalizeGeneration({ temperature: '0.3', topP: 0.9, maxTokens: '500', stop: 'END' }, { modelInfo: gpt4o });
+    assert.deepStrictEqual(generation, { temperature: 0.3, topP: 0.9, maxTokens: 500, stop: ['END'] });
+    
+    const filtered = normalizeGeneration({ stop: ['', 'a', 7, 'b'] }, { modelInfo: gpt4o });
+    assert.deepStrictEqual(filtered.stop, ['a', 'b']);
+});
+
+test('max tokens is clamped to the model output limit', () => {
+    assert.strictEqual(normalizeGeneration({ maxTokens: 100000 }, { modelInfo: gpt4o }).maxTokens, 16384);
+    assert.strictEqual(normalizeGeneration({ maxTokens: 100000 }).maxTokens, 100000);
+});
+
+test('reasoning models get a larger default and keep their reasoning effort', () => {
+    assert.deepStrictEqual(normalizeGeneration({ reasoningEffort: 'high' }, { modelInfo: gpt5 }), {
+        maxTokens: 16000,
+        reasoningEffort: 'high'
+    });
+});
+
+test('reasoning effort is dropped for models that do not declare support', () => {
+    assert.deepStrictEqual(normalizeGeneration({ reasoningEffort: 'low' }, { modelInfo: gpt4o }), { maxTokens: DEFAULT_MAX_TOKENS });
+    assert.deepStrictEqual(normalizeGeneration({ reasoningEffort: 'low' }), { maxTokens: DEFAULT_MAX_TOKENS });
+    assert.strictEqual(normalizeGeneration({ reasoningEffort: 'low' }, { modelInfo: { reasoning: true } }).reasoningEffort, 'low');
+});
+
+test('malformed values are rejected with invalid_params', () => {
+    assertInvalid('hot', /generation must be an object/);
+    assertInvalid([0.5], /generation must be an object/);
+    assertInvalid({ temperature: 3 }, /temperature must be a number between 0 and 2/);
+    assertInvalid({ temperature: 'warm' }, /temperature must be a number between 0 and 2/);
+    assertInvalid({ topP: -0.1 }, /topP must be a number between 0 and 1/);
+    assertInvalid({ maxTokens: 0 }, /maxTokens must be a positive integer/);
+    assertInvalid({ maxTokens: 12.5 }, /maxTokens must be a positive integer/);
+    assertInvalid({ stop: ['a', 'b', 'c', 'd', 'e'] }, /At most 4 stop sequences/);
+    assertInvalid({ reasoningEffort: 'extreme' }, /reasoningEffort must be one of: low, medium, high/);
+});
@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const anthropic = require('../providers/anthropic');
+const google = require('../providers/google');
+
+const tools = [{
+    type: 'function',
+    function: {
+        name: 'get_weather',
+        description: 'Current weather for a city',
+        parameters: {
+            type: 'object',
+            properties: {
+                city: { type: 'string', description: 'City name' },
+                units: { type: 'string', enum: ['c', 'f'], default: 'c' }
+            },
+            required: ['city'],
+            additionalProperties: false
+        }
+    }
+}];
+
+const conversation = [
+    { role: 'system', content: 'You are terse.' },
+    { role: 'system', content: 'Summary: nothing yet.' },
+    { role: 'user', content: 'Weather in Paris?' },
+    {
+        role: 'assistant',
+        content: 'Checking.',
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"temperature":18}' },
+    { role: 'user', content: 'Thanks' }
+];
+
+test('anthropic requests move system text out and turn tool calls into content blocks', () => {
+    const { body } = anthropic.buildRequest({ model: 'claude-sonnet-4-20250514', messages: conversation, tools, apiKey: 'key' });
+    
+    assert.strictEqual(body.system, 'You are terse.\n\nSummary: nothing yet.');
+    assert.deepStrictEqual(body.messages, [
+        { role: 'user', content: [{ type: 'text', text: 'Weather in Paris?' }] },
+        {
+            role: 'assistant',
+            content: [
+                { type: 'text', text: 'Checking.' },
+                { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } }
+            ]
+        },
+        {
+            role: 'user',
+            content: [
+                { type: 'tool_result', tool_use_id: 'call_1', content: '{"temperature":18}' },
+                { type: 'text', text: 'Thanks' }
+            ]
+        }
+    ]);
+    assert.deepStrictEqual(body.tools, [{
+        name: 'get_weather',
+        description: 'Current weather for a city',
+        input_schema: tools[0].function.parameters
+    }]);
+});
+
+test('anthropic requests drop leading assistant turns and orphaned tool results', () => {
+    const { body } = anthropic.buildRequest({
+        model: 'claude-sonnet-4-20250514',
+        apiKey: 'key',
+        messages: [
+            { role: 'assistant', content: 'Hello, how can I help?' },
+            { role: 'tool', tool_call_id: 'call_gone', content: 'stale result' },
+            { role: 'user', content: 'Hi' }
+        ]
+    });
+    
+    assert.strictEqual(body.system, undefined);
+    assert.deepStrictEqual(body.messages, [{ role: 'user', content: [{ type: 'text', text: 'Hi' }] }]);
+});
+
+test('anthropic responses become text content and OpenAI-style tool calls', () => {
+    const parsed = anthropic.parseResponse({
+        content: [
+            { type: 'text', text: 'Let me ' },
+            { type: 'text', text: 'check.' },
+            { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Oslo' } }
+        ]
+    });
+    
+    assert.deepStrictEqual(parsed, {
+        content: 'Let me check.',
+        tool_calls: [{
+            id: 'toolu_1',
+            type: 'function',
+            function: { name: 'get_weather', arguments: '{"city":"Oslo"}' }
+        }]
+    });
+    assert.deepStrictEqual(anthropic.parseResponse({ content: [{ type: 'text', text: 'Done' }] }), {
+        content: 'Done',
+        tool_calls: null
+    });
+});
+
+test('gemini requests declare functions and answer calls with functionResponse parts', () => {
+    const { url, body } = google.buildRequest({ model: 'gemini-2.0-flash', messages: conversation, tools, apiKey: 'key' });
+    
+    assert.match(url, /\/v1beta\/models\/gemini-2\.0-flash:generateContent\?key=key$/);
+    assert.deepStrictEqual(body.systemInstruction, { parts: [{ text: 'You are terse.' }, { text: 'Summary: nothing yet.' }] });
+    assert.deepStrictEqual(body.contents, [
+        { role: 'user', parts: [{ text: 'Weather in Paris?' }] },
+        { role: 'model', parts: [{ text: 'Checking.' }, { functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+        {
+            role: 'user',
+            parts: [
+                { functionResponse: { name: 'get_weather', response: { temperature: 18 } } },
+                { text: 'Thanks' }
+            ]
+        }
+    ]);
+    
+    // Keywords outside Gemini's schema subset (default, additionalProperties) are removed
+    assert.deepStrictEqual(body.tools, [{
+        functionDeclarations: [{
+            name: 'get_weather',
+            description: 'Current weather for a city',
+            parameters: {
+                type: 'object',
+                properties: {
+                    city: { type: 'string', description: 'City name' },
+                    units: { type: 'string', enum: ['c', 'f'] }
+                },
+                required: ['city']
+            }
+        }]
+    }]);
+    assert.deepStrictEqual(body.toolConfig, { functionCallingConfig: { mode: 'AUTO' } });
+});
+
+test('gemini wraps plain-text tool results and drops results without a matching call', () => {
+    const { body } = google.buildRequest({
+        model: 'gemini-2.0-flash',
+        apiKey: 'key',
+        messages: [
+            { role: 'user', content: 'Run it' },
+            { role: 'assistant', content: '', tool_calls: [{ id: 'call_1', function: { name: 'run', arguments: '{}' } }] },
+            { role: 'tool', tool_call_id: 'call_1', content: 'plain output' },
+            { role: 'tool', tool_call_id: 'call_unknown', content: 'orphan' }
+        ]
+    });
+    
+    assert.deepStrictEqual(body.contents, [
+        { role: 'user', parts: [{ text: 'Run it' }] },
+        { role: 'model', parts: [{ functionCall: { name: 'run', args: {} } }] },
+        { role: 'user', parts: [{ functionResponse: { name: 'run', response: { content: 'plain output' } } }] }
+    ]);
+});
+
+test('gemini functionCall parts become tool calls with generated ids', () => {
+    const parsed = google.parseResponse({
+        candidates: [{
+            content: {
+                parts: [
+                    { text: 'Looking it up.' },
+                    { functionCall: { name: 'get_weather', args: { city: 'Rome' } } }
+                ]
+            }
+        }]
+    });
+    
+    assert.strictEqual(parsed.content, 'Looking it up.');
+    assert.strictEqual(parsed.tool_calls.length, 1);
+    assert.match(parsed.tool_calls[0].id, /^call_gemini_\d+_0$/);
+    assert.deepStrictEqual(parsed.tool_calls[0].function, { name: 'get_weather', arguments: '{"city":"Rome"}' });
+    assert.throws(() => google.parseResponse({ candidates: [] }), /No response from Gemini API/);
+});
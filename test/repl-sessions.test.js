@@ -0,0 +1,68 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const replSessions = require('../repl-sessions');
+
+// Each test uses its own session id so a killed process in one cannot affect another
+after(() => replSessions.stopSessions());
+
+test('code cannot reach the host process through the constructor chain', async () => {
+    const direct = await replSessions.execute('escape', 'this.constructor.constructor("return process")()');
+    assert.strictEqual(direct.success, false);
+    assert.match(direct.error, /process is not defined/);
+    
+    const viaGlobal = await replSessions.execute('escape',
+        'const root = this.constructor.constructor("return this")(); [typeof root.process, typeof root.require]');
+    assert.strictEqual(viaGlobal.success, true);
+    assert.deepStrictEqual(viaGlobal.result, ['undefined', 'undefined']);
+});
+
+test('variables and functions persist between calls in a session', async () => {
+    const first = await replSessions.execute('persist', 'let counter = 41; function increment(n) { return n + 1; }');
+    assert.strictEqual(first.success, true);
+    
+    const second = await replSessions.execute('persist', 'increment(counter)');
+    assert.strictEqual(second.success, true);
+    assert.strictEqual(second.result, 42);
+    
+    const { active, variables } = await replSessions.listVariables('persist');
+    assert.strictEqual(active, true);
+    assert.ok(variables.some(variable => variable.name === 'counter'));
+});
+
+test('calls without a session id do not share state', async () => {
+    await replSessions.execute(null, 'var shared = 1');
+    const result = await replSessions.execute(null, 'typeof shared');
+    assert.strictEqual(result.result, 'undefined');
+});
+
+test('a runaway loop times out and the session keeps working', { timeout: 30000 }, async () => {
+    await replSessions.execute('timeout', 'let kept = "yes"');
+    
+    const looped = await replSessions.execute('timeout', 'while (true) {}');
+    assert.strictEqual(looped.success, false);
+    assert.match(looped.error, /timed out/);
+    
+    const later = await replSessions.execute('timeout', 'kept');
+    assert.strictEqual(later.result, 'yes');
+});
+
+test('hitting the memory limit kills the process and resets the session', { timeout: 30000 }, async () => {
+    await replSessions.execute('memory', 'let survivor = 1');
+    
+    const exhausted = await replSessions.execute('memory', 'const chunks = []; while (true) chunks.push(new Array(1e6).fill(1))');
+    assert.strictEqual(exhausted.success, false);
+    assert.match(exhausted.error, /Memory limit exceeded/);
+    assert.match(exhausted.error, /session was reset/);
+    
+    const fresh = await replSessions.execute('memory', 'typeof survivor');
+    assert.strictEqual(fresh.success, true);
+    assert.strictEqual(fresh.result, 'undefined');
+});
+
+test('resetting a session clears its variables', async () => {
+    await replSessions.execute('reset', 'const value = 5');
+    assert.strictEqual(replSessions.resetSession('reset'), true);
+    
+    const result = await replSessions.execute('reset', 'typeof value');
+    assert.strictEqual(result.result, 'undefined');
+});
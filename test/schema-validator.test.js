@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SchemaValidator = require('../schema-validator');
+
+const searchSchema = {
+    type: 'object',
+    properties: {
+        query: { type: 'string', minLength: 1, maxLength: 20 },
+        num_results: { type: 'integer', minimum: 1, maximum: 10, default: 5 },
+        safe: { type: 'boolean' },
+        sites: { type: 'array', items: { type: 'string' } },
+        mode: { type: 'string', enum: ['web', 'news'] }
+    },
+    required: ['query'],
+    additionalProperties: false
+};
+
+test('arguments are parsed from JSON, with fenced and trailing-comma output repaired', () => {
+    assert.deepStrictEqual(SchemaValidator.parseArguments('{"a":1}'), { ok: true, value: { a: 1 }, repaired: false });
+    assert.deepStrictEqual(SchemaValidator.parseArguments(''), { ok: true, value: {}, repaired: false });
+    assert.deepStrictEqual(SchemaValidator.parseArguments({ a: 1 }), { ok: true, value: { a: 1 }, repaired: false });
+    assert.deepStrictEqual(SchemaValidator.parseArguments('```json\n{"a": [1, 2,],}\n```'), { ok: true, value: { a: [1, 2] }, repaired: true });
+    
+    const broken = SchemaValidator.parseArguments('{"a": ');
+    assert.strictEqual(broken.ok, false);
+    assert.match(broken.error, /^Arguments are not valid JSON/);
+});
+
+test('valid arguments get defaults filled in', () => {
+    const result = SchemaValidator.validateArguments(searchSchema, '{"query":"node streams","mode":"news"}');
+    assert.deepStrictEqual(result, {
+        valid: true,
+        value: { query: 'node streams', mode: 'news', num_results: 5 },
+        errors: [],
+        repaired: false
+    });
+});
+
+test('lossless coercions are applied to mistyped values', () => {
+    const result = SchemaValidator.validate(searchSchema, { query: 42, num_results: '3', safe: 'false', sites: 'example.com' });
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.value, { query: '42', num_results: 3, safe: false, sites: ['example.com'] });
+    
+    const number = SchemaValidator.validate({ type: 'number' }, ' 2.5 ');
+    assert.deepStrictEqual(number, { valid: true, value: 2.5, errors: [] });
+});
+
+test('every violation is reported with its path', () => {
+    const result = SchemaValidator.validate(searchSchema, {
+        num_results: '2.5',
+        safe: 'yes',
+        sites: ['ok', { nested: true }],
+        mode: 'images',
+        extra: 1
+    });
+    
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors, [
+        { path: 'num_results', message: 'expected integer, got string' },
+        { path: 'safe', message: 'expected boolean, got string' },
+        { path: 'sites[1]', message: 'expected string, got object' },
+        { path: 'mode', message: 'must be one of: "web", "news"' },
+        { path: 'extra', message: 'is not an allowed property' },
+        { path: 'query', message: 'is required' }
+    ]);
+});
+
+test('ranges and string lengths are enforced', () => {
+    const result = SchemaValidator.validate(searchSchema, { query: 'x'.repeat(21), num_results: 11 });
+    assert.deepStrictEqual(result.errors, [
+        { path: 'query', message: 'must be at most 20 characters' },
+        { path: 'num_results', message: 'must be <= 10' }
+    ]);
+    
+    assert.deepStrictEqual(SchemaValidator.validate(searchSchema, { query: '', num_results: 0 }).errors, [
+        { path: 'query', message: 'must be at least 1 characters' },
+        { path: 'num_results', message: 'must be >= 1' }
+    ]);
+});
+
+test('unparseable arguments fail validation without a value', () => {
+    const result = SchemaValidator.validateArguments(searchSchema, 'query=node');
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.value, null);
+    assert.strictEqual(result.errors.length, 1);
+    assert.match(result.errors[0].message, /not valid JSON/);
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The local backend reads SEARCH_INDEX_DIR when it searches, so it can point at a
+// temporary directory of real documents
+const indexDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-'));
+let search;
+
+before(() => {
+    fs.writeFileSync(path.join(indexDirectory, 'zebras.md'),
+        '# Zebra migration\n\nEvery year zebras cross the Serengeti following the rains.');
+    process.env.SEARCH_INDEX_DIR = indexDirectory;
+    search = require('../search');
+});
+
+after(() => {
+    delete process.env.SEARCH_INDEX_DIR;
+    fs.rmSync(indexDirectory, { recursive: true, force: true });
+});
+
+test('results take the provenance of the backend that produced them', async () => {
+    const response = await search.search({ query: 'zebra migration', backends: ['local'] });
+    
+    assert.strictEqual(response.backend, 'local');
+    assert.strictEqual(response.results.length, 1);
+    assert.deepStrictEqual(response.results[0], {
+        title: 'Zebra migration',
+        link: 'local:zebras.md',
+        snippet: response.results[0].snippet,
+        displayLink: 'zebras.md',
+        backend: 'local',
+        provenance: 'local-index'
+    });
+    assert.match(response.results[0].snippet, /Serengeti/);
+});
+
+test('curated knowledge base notes count as real results', async () => {
+    const response = await search.search({ query: 'openai', numResults: 2, backends: ['knowledge-base', 'local'] });
+    
+    assert.strictEqual(response.backend, 'knowledge-base');
+    assert.strictEqual(response.results.length, 2);
+    assert.ok(response.results.every(result => result.provenance === 'knowledge-base'));
+    assert.deepStrictEqual(response.attempts, [{ backend: 'knowledge-base', status: 'ok', count: 2 }]);
+    assert.strictEqual(response.note, undefined);
+});
+
+test('placeholder-only results do not stop later backends from answering', async () => {
+    const response = await search.search({ query: 'zebras serengeti', backends: ['knowledge-base', 'local'] });
+    
+    assert.strictEqual(response.backend, 'local');
+    assert.ok(response.results.every(result => result.provenance === 'local-index'));
+    assert.strictEqual(response.attempts[0].backend, 'knowledge-base');
+    assert.strictEqual(response.attempts[0].status, 'placeholders');
+    assert.deepStrictEqual(response.attempts[1], { backend: 'local', status: 'ok', count: 1 });
+});
+
+test('placeholders are returned, labelled, when no backend finds anything real', async () => {
+    const response = await search.search({ query: 'quantum origami', numResults: 3, backends: ['knowledge-base', 'local'] });
+    
+    assert.strictEqual(response.backend, 'knowledge-base');
+    assert.strictEqual(response.results.length, 3);
+    assert.ok(response.results.every(result => result.provenance === 'synthetic'));
+    assert.deepStrictEqual(response.attempts, [
+        { backend: 'knowledge-base', status: 'placeholders', count: 3 },
+        { backend: 'local', status: 'empty' }
+    ]);
+    assert.match(response.note, /placeholder links/);
+});
+
+test('unknown backends are ignored and unconfigured ones are skipped', async () => {
+    const response = await search.search({ query: 'openai api', numResults: 1, backends: ['nope', 'google', 'knowledge-base'] });
+    
+    assert.deepStrictEqual(response.attempts, [
+        { backend: 'google', status: 'skipped', reason: 'not configured' },
+        { backend: 'knowledge-base', status: 'ok', count: 1 }
+    ]);
+});
+
+test('every registered backend declares a known provenance', () => {
+    const backends = search.listBackends();
+    assert.ok(backends.length > 0);
+    backends.forEach(backend => assert.ok(search.PROVENANCE.includes(backend.provenance), backend.id));
+});
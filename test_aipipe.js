@@ -43,7 +43,8 @@ async function testAIPipeIntegration() {
                 messages: [
                     { role: 'user', content: testCase.message }
                 ],
-                apiKey: '' // Empty key to trigger mock mode
+                apiKey: '',
+                demoMode: true // Mock responses are only served in explicit demo mode
             });
             
             if (response.data && response.data.content) {
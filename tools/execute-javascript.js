@@ -0,0 +1,70 @@
+const replSessions = require('../repl-sessions');
+const { ToolError } = require('./index');
+
+const MAX_CODE_LENGTH = 10000;
+const SUMMARY_ROWS = 5;
+const SUMMARY_POINTS = 20;
+
+// Compact text form of a display.* output; the chat renders the output itself and the
+// model gets this summary instead
+function summarizeOutput(output) {
+    const title = output.title ? ` "${output.title}"` : '';
+    switch (output.type) {
+        case 'table': {
+            const rows = output.rows.slice(0, SUMMARY_ROWS).map(row => row.map(value => value ?? '').join(', '));
+            const more = output.totalRows > SUMMARY_ROWS ? `\n(${output.totalRows - SUMMARY_ROWS} more rows)` : '';
+            return `Table${title} shown to the user, ${output.totalRows} rows x ${output.columns.length} columns:\n` +
+                `${output.columns.join(', ')}\n${rows.join('\n')}${more}`;
+        }
+        case 'chart':
+            return `${output.chartType === 'line' ? 'Line' : 'Bar'} chart${title} shown to the user: ` + output.series.map(series =>
+                `${series.name}: ` + series.values.slice(0, SUMMARY_POINTS).map((value, index) => `${output.labels[index]}=${value}`).join(', ') +
+                (series.values.length > SUMMARY_POINTS ? ', ...' : '')
+            ).join('; ');
+        case 'file':
+            return `File ${output.name} (${output.mimeType}, ${output.size} bytes) offered to the user for download. ` +
+                `Starts with: ${output.content.substring(0, 200)}`;
+        default:
+            return `Unknown output type ${output.type}`;
+    }
+}
+
+module.exports = {
+    name: 'execute_javascript',
+    description: 'Execute JavaScript code safely. Variables, functions and data defined at the top level persist ' +
+        'between calls in the same conversation; re-declaring an existing let/const name fails, so assign to it instead. ' +
+        'Returned promises are awaited and setTimeout/setInterval work within the 8 second limit. Code that uses top-level ' +
+        'await runs as an async function body: return the result, and assign to globalThis to keep values for later calls. ' +
+        'To show results to the user, call display.table(arrayOfObjects, { title }), ' +
+        'display.chart({ type: "bar" | "line", title, labels, values }) or display.file(name, textOrArrayOfObjects); ' +
+        'arrays of objects are saved as CSV.',
+    parameters: {
+        type: 'object',
+        properties: {
+            code: { type: 'string', description: 'JavaScript code to execute' }
+        },
+        required: ['code']
+    },
+    timeout: 15000,
+    permission: 'ask',
+    renderer: 'code-result',
+    
+    // Runs in the conversation's session process (see repl-sessions.js)
+    async handler({ code }, { signal, sessionId }) {
+        // Limit code size
+        if (code.length > MAX_CODE_LENGTH) {
+            code = code.substring(0, MAX_CODE_LENGTH);
+        }
+        
+        try {
+            const result = await replSessions.execute(sessionId, code, { signal });
+            result.outputs = result.outputs.map(output => ({ ...output, summary: summarizeOutput(output) }));
+            return result;
+        } catch (error) {
+            if (signal?.aborted) {
+                throw new ToolError('Code execution cancelled', { code: 'aborted', status: 499 });
+            }
+            throw error;
+        }
+    }
+};
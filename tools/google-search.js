@@ -0,0 +1,46 @@
+const logger = require('../logger');
+const search = require('../search');
+
+module.exports = {
+    name: 'google_search',
+    description: 'Search the web for information. Uses the search backends configured by the user ' +
+        '(Google, Brave, SearXNG, Wikipedia, a local document index or the built-in knowledge base); ' +
+        'each result names the backend that produced it and its provenance. "knowledge-base" results are ' +
+        'curated offline notes, not live search hits; placeholder links are left out and counted in ' +
+        'omitted_placeholders, so do not cite pages that are not in the results',
+    parameters: {
+        type: 'object',
+        properties: {
+            query: {
+                type: 'string',
+                description: 'Search query'
+            },
+            num_results: {
+                type: 'integer',
+                description: 'Number of results (max 10)',
+                default: 5
+            }
+        },
+        required: ['query']
+    },
+    // Several backends may be tried in turn (Google alone allows 15s)
+    timeout: 30000,
+    permission: 'auto',
+    renderer: 'search-results',
+    
+    async handler({ query, num_results }, { signal, credentials = {}, searchBackends }) {
+        try {
+            return await search.search({
+                query,
+                numResults: num_results,
+                backends: searchBackends,
+                credentials,
+                signal
+            });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            logger.error('Search tool error', { error: error.message });
+            return search.getEmergencyResults(query);
+        }
+    }
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const SchemaValidator = require('../schema-validator');
+
+// Tool plugins
+// Every .js file in this directory (other than this one) exports a tool:
+//   name, description, parameters (JSON schema for the arguments)
+//   handler(args, context) -> result, where args are already validated with defaults applied
+//     and context is { signal, sessionId (conversation id), searchBackends (ordered backend ids),
+//     credentials: { googleSearchKey, searchEngineId, braveApiKey } }
+// Optional: timeout (ms, default 15000), permission ('auto' | 'ask' | 'deny', the default
+//   approval policy in the UI), renderer (frontend renderer id for results),
+//   group (heading the tool is listed under in the UI; MCP tools use their server name)
+
+const REQUIRED_FIELDS = ['name', 'description', 'parameters', 'handler'];
+const DEFAULT_TIMEOUT = 15000;
+
+class ToolError extends Error {
+    constructor(message, { code = 'tool_error', status = 500, issues = null } = {}) {
+        super(message);
+        this.name = 'ToolError';
+        this.code = code;
+        this.status = status;
+        this.issues = issues;
+    }
+    
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            ...(this.issues && { issues: this.issues })
+        };
+    }
+}
+
+const registry = new Map();
+
+function registerTool(tool, source = tool.name) {
+    const missing = REQUIRED_FIELDS.filter(field => tool[field] === undefined);
+    if (missing.length > 0) {
+        logger.warn('Skipping invalid tool', { source, missing });
+        return false;
+    }
+    
+    registry.set(tool.name, tool);
+    return true;
+}
+
+function unregisterTool(name) {
+    return registry.delete(name);
+}
+
+function loadTools(directory = __dirname) {
+    const files = fs.readdirSync(directory)
+        .filter(file => file.endsWith('.js') && file !== 'index.js')
+        .sort();
+    
+    for (const file of files) {
+        registerTool(require(path.join(directory, file)), file);
+    }
+    
+    return registry;
+}
+
+function getTool(name) {
+    return registry.get(name) || null;
+}
+
+// Public description used by GET /api/tools; the frontend builds the LLM tool list from it
+function listTools() {
+    return Array.from(registry.values()).map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+        permission: tool.permission || 'auto',
+        timeout: tool.timeout || DEFAULT_TIMEOUT,
+        renderer: tool.renderer || null,
+        group: tool.group || null
+    }));
+}
+
+// Validates arguments, then runs the handler under the tool's timeout.
+// The handler's signal aborts on timeout or when context.signal aborts (client went away).
+async function runTool(name, args, context = {}) {
+    const tool = getTool(name);
+    if (!tool) {
+        throw new ToolError(`Unknown tool: ${name}`, { code: 'unknown_tool', status: 404 });
+    }
+    
+    const checked = SchemaValidator.validate(tool.parameters, args ?? {});
+    if (!checked.valid) {
+        throw new ToolError(`Invalid arguments for ${name}`, {
+            code: 'invalid_arguments',
+            status: 400,
+            issues: checked.errors.map(error => `${error.path || '(arguments)'} ${error.message}`)
+        });
+    }
+    
+    const timeout = tool.timeout || DEFAULT_TIMEOUT;
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    context.signal?.addEventListener('abort', abort, { once: true });
+    
+    let timer;
+    try {
+        return await Promise.race([
+            tool.handler(checked.value, { ...context, signal: controller.signal }),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    controller.abort();
+                    reject(new ToolError(`${name} timed out after ${timeout}ms`, { code: 'timeout', status: 504 }));
+                }, timeout);
+            })
+        ]);
+    } finally {
+        clearTimeout(timer);
+        context.signal?.removeEventListener('abort', abort);
+    }
+}
+
+module.exports = {
+    loadTools,
+    registerTool,
+    unregisterTool,
+    getTool,
+    listTools,
+    runTool,
+    ToolError
+};
+
+// After the exports so tool modules can require ToolError from here
+loadTools();
@@ -0,0 +1,20 @@
+const replSessions = require('../repl-sessions');
+
+module.exports = {
+    name: 'reset_javascript_session',
+    description: 'Clear all variables and functions defined by earlier execute_javascript calls in this conversation',
+    parameters: {
+        type: 'object',
+        properties: {}
+    },
+    timeout: 5000,
+    permission: 'auto',
+    
+    async handler(args, { sessionId }) {
+        const reset = replSessions.isValidSessionId(sessionId) && replSessions.resetSession(sessionId);
+        return {
+            reset,
+            message: reset ? 'JavaScript session cleared' : 'No JavaScript session was active'
+        };
+    }
+};